@@ -0,0 +1,58 @@
+// Usage: npm run migrate -- <up|down [steps]|status>
+require("dotenv").config();
+
+// The CLI decides what to run, so skip the automatic startup migration
+process.env.DB_MIGRATE_ON_STARTUP = "false";
+
+const db = require("../services/database");
+const redis = require("../services/redis");
+const migrator = require("./migrator");
+
+const main = async () => {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  await db.ready;
+
+  switch (command) {
+    case "up": {
+      const applied = await migrator.up(db.pool);
+      console.log(
+        applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : "✅ Database is up to date"
+      );
+      break;
+    }
+    case "down": {
+      const steps = parseInt(arg) || 1;
+      const reverted = await migrator.down(db.pool, steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case "status": {
+      const migrations = await migrator.status(db.pool);
+      migrations.forEach((m) => {
+        const state = m.applied
+          ? `applied ${new Date(m.appliedAt).toISOString()}`
+          : "pending";
+        console.log(
+          `${m.applied ? "✅" : "⏳"} ${m.name} - ${state}${
+            m.modified ? " (file modified since applied)" : ""
+          }`
+        );
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" - use up, down or status`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  // Loading the database service also connects Redis, which would otherwise
+  // keep the process running
+  .finally(() => Promise.all([db.close(), redis.close()]));
@@ -0,0 +1,52 @@
+-- Core tables used by DatabaseService. IF NOT EXISTS so deployments that
+-- created these tables by hand can adopt the migration history.
+
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS projects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  template_used VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  settings JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_user_status
+  ON projects (user_id, status, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  response TEXT,
+  ai_model VARCHAR(100),
+  tokens_used INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_project_created
+  ON conversations (project_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS project_files (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  file_path TEXT NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  file_type VARCHAR(50) NOT NULL DEFAULT 'text',
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (project_id, file_path)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS project_files;
+DROP TABLE IF EXISTS conversations;
+DROP TABLE IF EXISTS projects;
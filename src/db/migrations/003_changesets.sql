@@ -0,0 +1,20 @@
+-- AI-proposed file operations awaiting apply or discard
+
+-- migrate:up
+CREATE TABLE changesets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  conversation_id UUID REFERENCES conversations (id) ON DELETE SET NULL,
+  summary TEXT,
+  operations JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'applied', 'discarded')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  applied_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_changesets_project ON changesets (project_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS changesets;
@@ -0,0 +1,20 @@
+-- One row per save or delete of a project file
+
+-- migrate:up
+CREATE TABLE file_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  file_path TEXT NOT NULL,
+  revision_number INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('save', 'delete')),
+  content TEXT,
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  author_id VARCHAR(255),
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  conversation_id UUID REFERENCES conversations (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (project_id, file_path, revision_number)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS file_revisions;
@@ -0,0 +1,21 @@
+-- Token usage of every AI call, used for quotas and analytics
+
+-- migrate:up
+CREATE TABLE ai_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  project_id UUID REFERENCES projects (id) ON DELETE SET NULL,
+  conversation_id UUID REFERENCES conversations (id) ON DELETE SET NULL,
+  operation VARCHAR(20) NOT NULL,
+  model VARCHAR(100),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_user_created ON ai_usage (user_id, created_at);
+CREATE INDEX idx_ai_usage_project_created ON ai_usage (project_id, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS ai_usage;
@@ -0,0 +1,17 @@
+-- Seed ai_usage from conversations saved before usage was tracked per call.
+-- Only totals were stored then, so input/output tokens are left at 0.
+
+-- migrate:up
+INSERT INTO ai_usage (
+  user_id, project_id, conversation_id, operation, model, total_tokens, created_at
+)
+SELECT c.user_id, c.project_id, c.id, 'message', c.ai_model, c.tokens_used, c.created_at
+FROM conversations c
+WHERE NOT EXISTS (SELECT 1 FROM ai_usage u WHERE u.conversation_id = c.id);
+
+-- migrate:down
+DELETE FROM ai_usage
+WHERE operation = 'message'
+  AND input_tokens = 0
+  AND output_tokens = 0
+  AND conversation_id IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Model parameters (maxTokens, temperature) used for each conversation turn
+
+-- migrate:up
+ALTER TABLE conversations ADD COLUMN ai_parameters JSONB;
+
+-- migrate:down
+ALTER TABLE conversations DROP COLUMN IF EXISTS ai_parameters;
@@ -0,0 +1,23 @@
+-- Templates added by admins or saved from projects. Built-in templates live
+-- in src/templates and are not stored here.
+
+-- migrate:up
+CREATE TABLE project_templates (
+  id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  stack JSONB NOT NULL DEFAULT '[]',
+  variables JSONB NOT NULL DEFAULT '[]',
+  files JSONB NOT NULL DEFAULT '[]',
+  -- NULL for templates shared with everyone, otherwise the only user who can see it
+  owner_id VARCHAR(255),
+  created_by VARCHAR(255),
+  source_project_id UUID REFERENCES projects (id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_project_templates_owner ON project_templates (owner_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS project_templates;
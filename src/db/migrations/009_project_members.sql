@@ -0,0 +1,21 @@
+-- Project membership. Every project has at least one owner; projects.user_id
+-- stays as the creator.
+
+-- migrate:up
+CREATE TABLE project_members (
+  project_id UUID NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX idx_project_members_user ON project_members (user_id);
+
+INSERT INTO project_members (project_id, user_id, role, created_at)
+SELECT id, user_id, 'owner', created_at FROM projects;
+
+-- migrate:down
+DROP TABLE IF EXISTS project_members;
@@ -0,0 +1,23 @@
+-- Full-text search indexes. The expressions must match SEARCH_VECTORS in
+-- services/database.js exactly, or Postgres won't use the indexes.
+
+-- migrate:up
+CREATE INDEX idx_projects_search ON projects USING GIN ((
+  setweight(to_tsvector('english', name), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
+
+CREATE INDEX idx_project_files_search ON project_files USING GIN ((
+  setweight(to_tsvector('english', regexp_replace(file_path, '[/._-]+', ' ', 'g')), 'A') ||
+  setweight(to_tsvector('english', left(content, 250000)), 'B')
+));
+
+CREATE INDEX idx_conversations_search ON conversations USING GIN ((
+  setweight(to_tsvector('english', left(message, 250000)), 'A') ||
+  setweight(to_tsvector('english', left(coalesce(response, ''), 250000)), 'B')
+));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_conversations_search;
+DROP INDEX IF EXISTS idx_project_files_search;
+DROP INDEX IF EXISTS idx_projects_search;
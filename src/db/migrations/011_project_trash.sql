@@ -0,0 +1,30 @@
+-- Trash for soft-deleted projects. deleted_at starts the retention window
+-- after which the purge job removes the project with its files and
+-- conversations. Status is limited to the known lifecycle states.
+
+-- migrate:up
+UPDATE projects SET status = 'archived'
+WHERE status NOT IN ('active', 'archived', 'deleted');
+
+ALTER TABLE projects
+  ADD COLUMN deleted_at TIMESTAMPTZ,
+  ADD COLUMN deleted_by VARCHAR(255);
+
+UPDATE projects SET deleted_at = updated_at WHERE status = 'deleted';
+
+ALTER TABLE projects
+  ADD CONSTRAINT projects_status_check
+    CHECK (status IN ('active', 'archived', 'deleted')),
+  ADD CONSTRAINT projects_deleted_at_check
+    CHECK ((status = 'deleted') = (deleted_at IS NOT NULL));
+
+CREATE INDEX idx_projects_deleted_at ON projects (deleted_at)
+  WHERE status = 'deleted';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_projects_deleted_at;
+ALTER TABLE projects
+  DROP CONSTRAINT IF EXISTS projects_deleted_at_check,
+  DROP CONSTRAINT IF EXISTS projects_status_check,
+  DROP COLUMN IF EXISTS deleted_by,
+  DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,12 @@
+-- Lineage for forked projects. The link is dropped if the parent is purged.
+
+-- migrate:up
+ALTER TABLE projects
+  ADD COLUMN forked_from UUID REFERENCES projects (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_projects_forked_from ON projects (forked_from)
+  WHERE forked_from IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_projects_forked_from;
+ALTER TABLE projects DROP COLUMN IF EXISTS forked_from;
@@ -0,0 +1,32 @@
+-- Background AI jobs. Workers claim queued jobs with FOR UPDATE SKIP LOCKED
+-- and send heartbeats while running, so jobs left running by a stopped
+-- worker can be queued again.
+
+-- migrate:up
+CREATE TABLE ai_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  project_id UUID REFERENCES projects (id) ON DELETE CASCADE,
+  operation VARCHAR(20) NOT NULL
+    CHECK (operation IN ('message', 'explain', 'improve', 'tests')),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  payload JSONB NOT NULL,
+  result JSONB,
+  error JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_ai_jobs_queued ON ai_jobs (created_at)
+  WHERE status = 'queued';
+CREATE INDEX idx_ai_jobs_running ON ai_jobs (heartbeat_at)
+  WHERE status = 'running';
+CREATE INDEX idx_ai_jobs_user_created ON ai_jobs (user_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS ai_jobs;
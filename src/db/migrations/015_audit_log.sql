@@ -0,0 +1,43 @@
+-- Append-only audit trail of mutating project actions and AI calls. No
+-- foreign keys, so entries outlive the projects and users they mention;
+-- triggers reject updates, deletes and truncation.
+
+-- migrate:up
+CREATE TABLE audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id VARCHAR(255) NOT NULL,
+  actor_email VARCHAR(255),
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(30) NOT NULL,
+  target_id TEXT,
+  project_id UUID,
+  changes JSONB,
+  metadata JSONB,
+  ip VARCHAR(64),
+  request_id VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_created ON audit_log (created_at DESC);
+CREATE INDEX idx_audit_log_project_created
+  ON audit_log (project_id, created_at DESC);
+CREATE INDEX idx_audit_log_actor_created
+  ON audit_log (actor_id, created_at DESC);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
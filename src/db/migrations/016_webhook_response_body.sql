@@ -0,0 +1,9 @@
+-- Stop keeping receiver response bodies: the delivery log showed them to the
+-- webhook's owner, which let a webhook read replies from any host it could
+-- reach. Only the status code is kept.
+
+-- migrate:up
+ALTER TABLE webhook_deliveries DROP COLUMN response_body;
+
+-- migrate:down
+ALTER TABLE webhook_deliveries ADD COLUMN response_body TEXT;
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Arbitrary key for pg_advisory_lock so only one replica migrates at a time
+const MIGRATION_LOCK_KEY = 7263514;
+
+// Read migration files named like 001_initial_schema.sql. Each file holds an
+// "-- migrate:up" section and an optional "-- migrate:down" section.
+const loadMigrations = () => {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort()
+    .map((file) => {
+      const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      const upIndex = source.indexOf("-- migrate:up");
+      const downIndex = source.indexOf("-- migrate:down");
+
+      if (upIndex === -1) {
+        throw new Error(
+          `Migration ${file} is missing a "-- migrate:up" section`
+        );
+      }
+
+      return {
+        version: parseInt(file.split("_")[0], 10),
+        name: file.replace(/\.sql$/, ""),
+        up: source
+          .slice(upIndex, downIndex > upIndex ? downIndex : undefined)
+          .replace("-- migrate:up", "")
+          .trim(),
+        down:
+          downIndex === -1
+            ? ""
+            : source.slice(downIndex).replace("-- migrate:down", "").trim(),
+        checksum: crypto.createHash("sha256").update(source).digest("hex")
+      };
+    });
+};
+
+// Hold the migration lock on a dedicated client for the duration of callback
+const withLock = async (pool, callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    return await callback(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+};
+
+const getApplied = async (client) => {
+  const result = await client.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows;
+};
+
+const runInTransaction = async (client, sql, record) => {
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+};
+
+// Apply every pending migration in version order. Returns the applied names.
+const up = async (pool) => {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = new Set((await getApplied(client)).map((m) => m.version));
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      logger.info("Applying migration", { migration: migration.name });
+      await runInTransaction(client, migration.up, () =>
+        client.query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [migration.version, migration.name, migration.checksum]
+        )
+      );
+    }
+
+    return pending.map((m) => m.name);
+  });
+};
+
+// Roll back the most recent `steps` migrations. Returns the reverted names.
+const down = async (pool, steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = (await getApplied(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = migrations.find((m) => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for ${row.name} not found`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.name} cannot be rolled back`);
+      }
+
+      logger.info("Reverting migration", { migration: migration.name });
+      await runInTransaction(client, migration.down, () =>
+        client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version
+        ])
+      );
+      reverted.push(migration.name);
+    }
+
+    return reverted;
+  });
+};
+
+// List every known migration with whether (and when) it was applied
+const status = async (pool) => {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = await getApplied(client);
+
+    return migrations.map((migration) => {
+      const row = applied.find((m) => m.version === migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!row,
+        appliedAt: row?.applied_at || null,
+        modified: !!row && row.checksum !== migration.checksum
+      };
+    });
+  });
+};
+
+module.exports = {
+  loadMigrations,
+  up,
+  down,
+  status
+};
@@ -3,10 +3,26 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { requireAuth } = require('./middleware/auth');
+const { trackHttpMetrics } = require('./middleware/metrics');
+const { assignRequestId } = require('./middleware/requestId');
+const { createRateLimitStore } = require('./middleware/rateLimitStore');
+const logger = require('./utils/logger');
+const db = require('./services/database');
+const aiService = require('./services/ai');
+const trashService = require('./services/trash');
+const jobService = require('./services/jobs');
+const webhookService = require('./services/webhooks');
+const metrics = require('./services/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Request id (X-Request-Id) and request logging, then request counts and
+// latency for /metrics, including rejected requests
+app.use(assignRequestId);
+app.use(trackHttpMetrics);
+
 // Security middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -20,13 +36,19 @@ app.use(helmet({
   },
 }));
 
-// Rate limiting
+// Rate limiting (shared across replicas through Redis when configured, per
+// process while Redis is unavailable)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimitRejection('api');
+    res.status(options.statusCode).send(options.message);
+  },
+  store: createRateLimitStore('rl:')
 });
 app.use('/api/', limiter);
 
@@ -60,7 +82,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 };
 
 app.use(cors(corsOptions));
@@ -81,19 +104,28 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/projects', require('./routes/projects'));
-app.use('/api/chat', require('./routes/chat'));
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/projects', requireAuth, require('./routes/projects'));
+app.use('/api/chat', requireAuth, require('./routes/chat'));
+app.use('/api/analytics', requireAuth, require('./routes/analytics'));
+app.use('/api/templates', requireAuth, require('./routes/templates'));
+app.use('/api/search', requireAuth, require('./routes/search'));
+app.use('/api/jobs', requireAuth, require('./routes/jobs'));
+app.use('/api/webhooks', requireAuth, require('./routes/webhooks'));
+app.use('/api/audit', requireAuth, require('./routes/audit'));
 app.use('/api/health', require('./routes/health'));
+app.use('/metrics', require('./routes/metrics'));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('❌ Error:', error);
+  logger.error('Unhandled error', error);
   
   // Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV === 'development';
   
   res.status(error.status || 500).json({
     error: error.message || 'Internal Server Error',
+    requestId: req.id,
     ...(isDevelopment && { 
       stack: error.stack,
       details: error 
@@ -112,21 +144,27 @@ app.use('*', (req, res) => {
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('📴 SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('🚀 ================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`💾 Database: ${process.env.DB_HOST}:${process.env.DB_PORT}`);
-  console.log(`🤖 Claude AI: ${process.env.CLAUDE_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-  console.log('🚀 ================================');
-});
+// Start server once the database is migrated and reachable, then start the
+// background workers: trash purge, queued AI jobs and webhook deliveries
+db.ready.then(() => app.listen(PORT, '0.0.0.0', () => {
+  logger.info('Server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV,
+    database: `${process.env.DB_HOST}:${process.env.DB_PORT}`,
+    aiProvider: aiService.provider.name,
+    aiConfigured: aiService.isConfigured(),
+    logLevel: logger.getLevel()
+  });
+  trashService.start();
+  jobService.start();
+  webhookService.start();
+}));
@@ -0,0 +1,10 @@
+const auditService = require("../services/audit");
+
+// Expose req.audit(entry) to record an audit entry for the caller of this
+// request (see AuditService.record)
+const attachAudit = (req, res, next) => {
+  req.audit = (entry) => auditService.record(auditService.getActor(req), entry);
+  next();
+};
+
+module.exports = { attachAudit };
@@ -0,0 +1,52 @@
+const authService = require("../services/auth");
+
+// Require a valid Bearer access token and expose the caller as req.user
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required"
+    });
+  }
+
+  const payload = authService.verifyAccessToken(token);
+  if (!payload) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired access token"
+    });
+  }
+
+  req.user = {
+    id: payload.sub,
+    email: payload.email
+  };
+
+  next();
+};
+
+// Admins are configured by email in ADMIN_EMAILS (comma separated)
+const isAdmin = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  return !!user?.email && adminEmails.includes(user.email.toLowerCase());
+};
+
+// Use after requireAuth to limit a route to admins
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: "Admin access required"
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireAuth, requireAdmin, isAdmin };
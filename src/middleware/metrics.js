@@ -0,0 +1,18 @@
+const metrics = require("../services/metrics");
+
+// Count every request and time it until the response is sent. Routes are
+// labelled by their pattern (/api/projects/:id), never the raw URL, so
+// label values stay bounded; requests that match no route are "unmatched".
+const trackHttpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    metrics.observeHttpRequest(req.method, route, res.statusCode, durationMs);
+  });
+
+  next();
+};
+
+module.exports = { trackHttpMetrics };
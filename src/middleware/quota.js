@@ -0,0 +1,48 @@
+const quotaService = require("../services/quota");
+const metrics = require("../services/metrics");
+const logger = require("../utils/logger");
+
+// Reject AI requests once the caller (or the project in req.body.projectId)
+// has used up its daily or monthly token quota
+const enforceTokenQuota = async (req, res, next) => {
+  try {
+    const result = await quotaService.checkQuota(
+      req.user.id,
+      req.body?.projectId
+    );
+
+    if (!result.allowed) {
+      const { exceeded } = result;
+      const retryAfter = Math.ceil(
+        (new Date(exceeded.resetAt).getTime() - Date.now()) / 1000
+      );
+
+      logger.warn("Token quota exceeded", {
+        userId: req.user.id,
+        scope: exceeded.scope,
+        period: exceeded.period
+      });
+
+      metrics.recordRateLimitRejection("token_quota");
+      res.set("Retry-After", String(Math.max(retryAfter, 0)));
+      return res.status(429).json({
+        success: false,
+        error: "Token quota exceeded",
+        message: `The ${exceeded.period} ${exceeded.scope} token quota of ${exceeded.limit} tokens has been reached`,
+        quota: exceeded,
+        quotas: result.quotas
+      });
+    }
+
+    req.tokenQuota = result;
+    next();
+  } catch (error) {
+    logger.error("Token quota check error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check token quota"
+    });
+  }
+};
+
+module.exports = { enforceTokenQuota };
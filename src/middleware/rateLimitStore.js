@@ -0,0 +1,68 @@
+const { MemoryStore } = require("express-rate-limit");
+const { RedisStore } = require("rate-limit-redis");
+const redis = require("../services/redis");
+const logger = require("../utils/logger");
+
+// Rate limit store that counts in Redis, shared by every replica, while Redis
+// is connected. Otherwise (or when a Redis command fails) hits are counted in
+// this process's memory, so requests are still limited per replica instead of
+// waiting on Redis or going unlimited.
+class FallbackStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.memory = new MemoryStore();
+    this.redisStore = null;
+  }
+
+  init(options) {
+    this.options = options;
+    this.memory.init(options);
+  }
+
+  // Created on first use with Redis connected, because the store sends its
+  // SCRIPT LOAD commands as soon as it is constructed
+  getRedisStore() {
+    if (!this.redisStore) {
+      this.redisStore = new RedisStore({
+        prefix: this.prefix,
+        sendCommand: (...args) => redis.client.sendCommand(args)
+      });
+      this.redisStore.init(this.options);
+      // Only used by get(), which the limiter never calls
+      this.redisStore.getScriptSha.catch(() => {});
+    }
+    return this.redisStore;
+  }
+
+  async run(method, key) {
+    if (redis.isReady()) {
+      try {
+        return await this.getRedisStore()[method](key);
+      } catch (error) {
+        logger.warn("Rate limit store error - counting in memory", {
+          error: error.message
+        });
+      }
+    }
+    return this.memory[method](key);
+  }
+
+  increment(key) {
+    return this.run("increment", key);
+  }
+
+  decrement(key) {
+    return this.run("decrement", key);
+  }
+
+  resetKey(key) {
+    return this.run("resetKey", key);
+  }
+}
+
+// Store for a rate limiter, or undefined (express-rate-limit's own memory
+// store) when Redis isn't configured
+const createRateLimitStore = (prefix) =>
+  redis.isConfigured() ? new FallbackStore(prefix) : undefined;
+
+module.exports = { createRateLimitStore };
@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+// Incoming ids are echoed back only if they look like an id, so clients
+// can't inject arbitrary text into logs and headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+// Give every request an id (the caller's X-Request-Id, or a new UUID),
+// return it in the X-Request-Id response header and attach it to everything
+// logged while handling the request. Logs one line per finished request.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(req.user && { userId: req.user.id })
+    });
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { assignRequestId };
@@ -0,0 +1,110 @@
+const express = require("express");
+const router = express.Router();
+const analytics = require("../services/analytics");
+const { isAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const OPERATIONS = ["message", "explain", "improve", "tests"];
+const DEFAULT_RANGE_DAYS = 30;
+
+// Parse ?from=&to= (ISO dates), defaulting to the last 30 days
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "from and to must be valid ISO dates" };
+  }
+  if (from >= to) {
+    return { error: "from must be before to" };
+  }
+
+  return { from, to };
+};
+
+// Token usage and estimated cost grouped by user, project, model,
+// operation or day. Non-admins only ever see their own usage.
+router.get("/usage", async (req, res) => {
+  try {
+    const { groupBy = "day", userId, projectId, operation, model } = req.query;
+
+    if (!analytics.getGroupings().includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${analytics.getGroupings().join(", ")}`
+      });
+    }
+
+    if (operation && !OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: `operation must be one of: ${OPERATIONS.join(", ")}`
+      });
+    }
+
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (projectId && !uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const admin = isAdmin(req.user);
+    const filters = {
+      userId: admin ? userId : req.user.id,
+      projectId,
+      operation,
+      model
+    };
+
+    logger.info(`Fetching AI usage by ${groupBy} for user: ${req.user.id}`, {
+      admin
+    });
+
+    const usage = await analytics.getUsage(
+      groupBy,
+      range.from,
+      range.to,
+      filters
+    );
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        scope: admin ? "all" : "self",
+        ...usage
+      }
+    });
+  } catch (error) {
+    logger.error("Get usage analytics error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch usage analytics"
+    });
+  }
+});
+
+// Per-model prices (USD per million tokens) used for cost estimates
+router.get("/pricing", (req, res) => {
+  res.json({
+    success: true,
+    data: analytics.pricing
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../services/database");
+const { isAdmin } = require("../middleware/auth");
+const { hasRole } = require("../utils/roles");
+const { parsePageParams, parseDateParam } = require("../utils/pagination");
+const logger = require("../utils/logger");
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Validate audit log query parameters. Returns { errors, filters, page }.
+const validateAuditQuery = (query) => {
+  const { errors, page } = parsePageParams(query);
+  const filters = {};
+
+  if (query.projectId !== undefined) {
+    if (!uuidRegex.test(query.projectId)) {
+      errors.push("Invalid project ID format");
+    }
+    filters.projectId = query.projectId;
+  }
+
+  ["actorId", "action", "targetType"].forEach((field) => {
+    if (query[field] === undefined) return;
+    if (typeof query[field] !== "string" || query[field].length > 255) {
+      errors.push(`${field} must be a string`);
+    }
+    filters[field] = query[field];
+  });
+
+  ["from", "to"].forEach((field) => {
+    const { error, date } = parseDateParam(query, field);
+    if (error) {
+      errors.push(error);
+    } else if (date) {
+      filters[field] = date;
+    }
+  });
+
+  return { errors, filters, page };
+};
+
+// Query the audit log, newest first. Filters: projectId, actorId, action,
+// targetType, from and to. Admins can see every entry; project owners can
+// see everything on their project; anyone else only their own actions.
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { errors, filters, page } = validateAuditQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    if (!isAdmin(req.user)) {
+      const project =
+        filters.projectId && (await db.getProject(filters.projectId, userId));
+      const isOwner = !!project && hasRole(project.role, "owner");
+
+      if (!isOwner) {
+        if (filters.actorId && filters.actorId !== userId) {
+          return res.status(403).json({
+            success: false,
+            error: "You can only view your own actions"
+          });
+        }
+        filters.actorId = userId;
+      }
+    }
+
+    const { items, nextCursor } = await db.getAuditLog(filters, page);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      pagination: {
+        limit: page.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    logger.error("Audit log error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch audit log"
+    });
+  }
+});
+
+module.exports = router;
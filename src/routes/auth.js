@@ -0,0 +1,201 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../services/database");
+const authService = require("../services/auth");
+const { requireAuth } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+// Validation helper
+const validateCredentials = (data) => {
+  const errors = [];
+
+  if (
+    !data.email ||
+    typeof data.email !== "string" ||
+    !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email.trim())
+  ) {
+    errors.push("A valid email address is required");
+  }
+
+  if (!data.password || typeof data.password !== "string") {
+    errors.push("Password is required and must be a string");
+  } else if (data.password.length < 8) {
+    errors.push("Password must be at least 8 characters");
+  } else if (data.password.length > 128) {
+    errors.push("Password must be less than 128 characters");
+  }
+
+  if (data.name && typeof data.name !== "string") {
+    errors.push("Name must be a string");
+  }
+
+  return errors;
+};
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  createdAt: user.created_at
+});
+
+// Create a new account
+router.post("/signup", async (req, res) => {
+  try {
+    const validationErrors = validateCredentials(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const name = req.body.name?.trim() || null;
+
+    const existingUser = await db.getUserByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: "An account with this email already exists"
+      });
+    }
+
+    const passwordHash = await authService.hashPassword(req.body.password);
+    const user = await db.createUser(email, passwordHash, name);
+
+    logger.info(`User created: ${user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        ...authService.issueTokens(user)
+      }
+    });
+  } catch (error) {
+    logger.error("Signup error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create account"
+    });
+  }
+});
+
+// Exchange email and password for tokens
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (
+      !email ||
+      !password ||
+      typeof email !== "string" ||
+      typeof password !== "string"
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Email and password are required"
+      });
+    }
+
+    const user = await db.getUserByEmail(email.trim().toLowerCase());
+    const valid = await authService.verifyPassword(
+      password,
+      user?.password_hash
+    );
+
+    if (!user || !valid) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password"
+      });
+    }
+
+    logger.info(`User logged in: ${user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        ...authService.issueTokens(user)
+      }
+    });
+  } catch (error) {
+    logger.error("Login error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log in"
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "refreshToken is required"
+      });
+    }
+
+    const payload = authService.verifyRefreshToken(refreshToken);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token"
+      });
+    }
+
+    // Make sure the account still exists before issuing new tokens
+    const user = await db.getUserById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: authService.issueTokens(user)
+    });
+  } catch (error) {
+    logger.error("Token refresh error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh token"
+    });
+  }
+});
+
+// Get the current user
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+  } catch (error) {
+    logger.error("Get current user error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user"
+    });
+  }
+});
+
+module.exports = router;
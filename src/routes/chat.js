@@ -2,11 +2,28 @@ const express = require("express");
 const router = express.Router();
 const aiService = require("../services/ai");
 const db = require("../services/database");
+const { validateOperations } = require("../utils/changesets");
+const { buildFileContext } = require("../utils/context");
+const { hasRole } = require("../utils/roles");
+const { parsePageParams, parseDateParam } = require("../utils/pagination");
+const { enforceTokenQuota } = require("../middleware/quota");
+const quotaService = require("../services/quota");
+const jobService = require("../services/jobs");
+const auditService = require("../services/audit");
+const { attachAudit } = require("../middleware/audit");
+const logger = require("../utils/logger");
 
-// Helper function to get user ID
-const getUserId = (req) => {
-  return req.headers["x-user-id"] || "demo-user";
-};
+// Response modes for POST /message: a raw code blob, or a pending changeset
+// of file operations that can be applied to the project
+const MESSAGE_MODES = ["code", "changeset"];
+
+// Max estimated tokens of prior conversation turns sent with each message
+const HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 8000;
+
+// Max estimated tokens of project files sent with each message
+const CONTEXT_TOKEN_BUDGET =
+  parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 12000;
 
 // Validation helpers
 const validateChatMessage = (data) => {
@@ -28,16 +45,605 @@ const validateChatMessage = (data) => {
     errors.push("Project ID must be a string");
   }
 
+  if (data.mode !== undefined && !MESSAGE_MODES.includes(data.mode)) {
+    errors.push(`Mode must be one of: ${MESSAGE_MODES.join(", ")}`);
+  }
+
+  if (data.mode === "changeset" && !data.projectId) {
+    errors.push("Project ID is required for changeset mode");
+  }
+
+  // Optional per-request model, maxTokens and temperature
+  errors.push(...aiService.validateParameters(data));
+
+  if (
+    data.historyTokenBudget !== undefined &&
+    (!Number.isInteger(data.historyTokenBudget) ||
+      data.historyTokenBudget < 0 ||
+      data.historyTokenBudget > HISTORY_TOKEN_BUDGET)
+  ) {
+    errors.push(
+      `historyTokenBudget must be an integer between 0 and ${HISTORY_TOKEN_BUDGET}`
+    );
+  }
+
+  if (
+    data.contextTokenBudget !== undefined &&
+    (!Number.isInteger(data.contextTokenBudget) ||
+      data.contextTokenBudget < 0 ||
+      data.contextTokenBudget > CONTEXT_TOKEN_BUDGET)
+  ) {
+    errors.push(
+      `contextTokenBudget must be an integer between 0 and ${CONTEXT_TOKEN_BUDGET}`
+    );
+  }
+
   return errors;
 };
 
-// Process chat message and generate code
-router.post("/message", async (req, res) => {
+// Operations return { status, body } so the same code can answer a request
+// or finish a background job
+const ok = (data) => ({ status: 200, body: { success: true, data } });
+const fail = (status, body) => ({ status, body: { success: false, ...body } });
+
+// Submit as a background job with ?async=true instead of waiting for the AI
+const wantsJob = (req) => req.query.async === "true";
+
+// Check that the user can chat in the project. Returns { project }, or
+// { status, error } if the project ID is invalid or the user can't edit it.
+const checkProjectAccess = async (projectId, userId) => {
+  // Validate UUID format
+  const uuidRegex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(projectId)) {
+    return { status: 400, error: "Invalid project ID format" };
+  }
+
+  const project = await db.getProject(projectId, userId);
+  if (!project) {
+    return { status: 404, error: "Project not found" };
+  }
+
+  // Chatting adds conversations (and may propose changes), so viewers can't
+  if (!hasRole(project.role, "editor")) {
+    return { status: 403, error: "Editor access required" };
+  }
+
+  return { project };
+};
+
+// Load the project, the files most relevant to the message and prior
+// conversation turns to use as context for a chat message. Returns
+// { status, error } if the project ID is invalid or the user can't edit it.
+const loadProjectContext = async (
+  projectId,
+  userId,
+  message,
+  {
+    historyTokenBudget = HISTORY_TOKEN_BUDGET,
+    contextTokenBudget = CONTEXT_TOKEN_BUDGET
+  } = {}
+) => {
+  if (!projectId) {
+    return {
+      project: null,
+      projectContext: "",
+      existingFiles: [],
+      fileContext: buildFileContext([], message, contextTokenBudget),
+      history: aiService.buildConversationHistory([], historyTokenBudget)
+    };
+  }
+
+  const access = await checkProjectAccess(projectId, userId);
+  if (access.error) return access;
+  const { project } = access;
+
+  const projectContext = `Project: ${project.name}\nDescription: ${
+    project.description || "No description"
+  }\nTemplate: ${project.template_used || "None"}`;
+  const [existingFiles, conversations] = await Promise.all([
+    db.getProjectFiles(projectId, userId),
+    historyTokenBudget > 0
+      ? db.getConversations(projectId, userId, 50)
+      : Promise.resolve([])
+  ]);
+  const history = aiService.buildConversationHistory(
+    conversations,
+    historyTokenBudget
+  );
+
+  const fileContext = buildFileContext(
+    existingFiles,
+    message,
+    contextTokenBudget
+  );
+
+  logger.info(`Found ${existingFiles.length} existing files for context`, {
+    includedFiles: fileContext.manifest.included.length,
+    historyTurns: history.manifest.includedConversationIds.length
+  });
+
+  return { project, projectContext, existingFiles, fileContext, history };
+};
+
+// Audit entry for one AI call. Only sizes of the prompt or code are kept.
+const aiAuditEntry = (operation, payload, details) => ({
+  action: `ai.${operation}`,
+  targetType: details.conversationId ? "conversation" : "ai_call",
+  targetId: details.conversationId || details.jobId || null,
+  projectId: payload.projectId || null,
+  metadata: {
+    status: details.status,
+    model: details.model || null,
+    tokens: details.usage?.total_tokens || 0,
+    inputLength: (payload.message || payload.code || "").length,
+    ...(payload.mode && { mode: payload.mode }),
+    ...(details.jobId && { jobId: details.jobId }),
+    ...(details.stream && { stream: true }),
+    ...(details.error && { error: details.error })
+  }
+});
+
+// Wrap an operation so every call is audited, for the request's caller or,
+// in background jobs, the job's owner
+const audited = (operation, run) => async (payload, options) => {
+  const outcome = await run(payload, options);
+  const { data = {}, usage, error } = outcome.body;
+  await auditService.record(
+    options.actor || { id: options.userId },
+    aiAuditEntry(operation, payload, {
+      status: outcome.status,
+      model: data.model,
+      usage: data.usage || usage,
+      conversationId: data.conversationId,
+      jobId: options.jobId,
+      error
+    })
+  );
+  return outcome;
+};
+
+// Record token usage for quotas and analytics without failing the request
+const recordUsage = async (userId, operation, result, ids = {}) => {
+  try {
+    await db.recordAiUsage({
+      userId,
+      projectId: ids.projectId,
+      conversationId: ids.conversationId,
+      operation,
+      model: result.model,
+      usage: result.usage
+    });
+  } catch (dbError) {
+    logger.error("Failed to record AI usage", dbError);
+  }
+};
+
+// A cancelled job keeps the usage of its AI call but drops the result
+const cancelled = async (userId, operation, result, ids) => {
+  if (result.usage) await recordUsage(userId, operation, result, ids);
+  return fail(409, { error: "Cancelled" });
+};
+
+// Queue a validated request as a background job and answer with the job
+const submitJob = async (req, res, operation) => {
+  const userId = req.user.id;
+  const projectId = operation === "message" ? req.body.projectId : null;
+
+  // Reject what the job would fail on anyway before queueing it
+  if (projectId) {
+    const access = await checkProjectAccess(projectId, userId);
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error
+      });
+    }
+  }
+
+  if (!aiService.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: "AI service not configured",
+      message: aiService.notConfiguredError().error
+    });
+  }
+
+  const job = await jobService.enqueue(
+    operation,
+    userId,
+    req.body,
+    projectId || null
+  );
+  await req.audit({
+    action: "job.submit",
+    targetType: "job",
+    targetId: job.id,
+    projectId: job.project_id,
+    metadata: { operation }
+  });
+
+  res
+    .status(202)
+    .location(`/api/jobs/${job.id}`)
+    .json({
+      success: true,
+      data: {
+        id: job.id,
+        operation: job.operation,
+        status: job.status,
+        projectId: job.project_id,
+        createdAt: job.created_at
+      }
+    });
+};
+
+// Ask the model for file operations, validate them against the project's
+// current files and store them as a pending changeset linked to the
+// conversation row. Apply it with POST /api/projects/:id/changesets/:id/apply.
+const generateChangeset = async (payload, userId, context, signal) => {
+  const { message, projectId } = payload;
+  const { project, projectContext, existingFiles, fileContext, history } =
+    context;
+
+  const result = await aiService.generateChanges(
+    message.trim(),
+    projectContext,
+    fileContext.files,
+    {
+      signal,
+      history: history.messages,
+      parameters: aiService.resolveParameters(
+        "changes",
+        project?.settings?.ai,
+        payload
+      )
+    }
+  );
+
+  // A cancelled job doesn't add to the project
+  if (signal?.aborted) {
+    return cancelled(userId, "message", result, { projectId });
+  }
+
+  if (!result.success) {
+    logger.error("AI changeset generation failed", {
+      error: result.error,
+      code: result.code
+    });
+    return fail(500, {
+      error: "AI generation failed",
+      message: result.error,
+      code: result.code
+    });
+  }
+
+  const { operations, errors } = validateOperations(
+    result.changes.operations,
+    existingFiles.map((file) => file.file_path)
+  );
+  if (errors.length > 0) {
+    logger.error("AI proposed invalid file changes", { errors });
+    await recordUsage(userId, "message", result, { projectId });
+    return fail(422, {
+      error: "AI proposed invalid file changes",
+      details: errors,
+      usage: result.usage
+    });
+  }
+
+  // Store a readable summary as the conversation response so later turns
+  // know what was proposed without replaying every file
+  const responseText = [
+    result.changes.summary,
+    ...operations.map((operation) => `${operation.action} ${operation.path}`)
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  const { conversation, changeset } = await db.transaction(async (tx) => {
+    const conversation = await tx.saveConversation(
+      projectId,
+      userId,
+      message.trim(),
+      responseText,
+      result.model,
+      result.usage?.total_tokens || 0,
+      result.parameters
+    );
+    const changeset = await tx.createChangeset(
+      projectId,
+      userId,
+      conversation.id,
+      result.changes.summary,
+      operations
+    );
+    return { conversation, changeset };
+  });
+
+  logger.info(
+    `Changeset ${changeset.id} created with ${operations.length} operations`
+  );
+  await recordUsage(userId, "message", result, {
+    projectId,
+    conversationId: conversation.id
+  });
+
+  return ok({
+    mode: "changeset",
+    changeset: {
+      id: changeset.id,
+      status: changeset.status,
+      summary: changeset.summary,
+      operations
+    },
+    usage: result.usage,
+    model: result.model,
+    parameters: result.parameters,
+    projectId,
+    conversationId: conversation.id,
+    history: history.manifest,
+    context: fileContext.manifest,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Generate code (or a changeset) for a validated chat message
+const runMessage = async (payload, { userId, signal }) => {
+  const { message, projectId } = payload;
+
+  // Get project context if projectId provided
+  const context = await loadProjectContext(projectId, userId, message, {
+    historyTokenBudget: payload.historyTokenBudget,
+    contextTokenBudget: payload.contextTokenBudget
+  });
+  if (context.error) {
+    return fail(context.status, { error: context.error });
+  }
+  const { projectContext, fileContext, history } = context;
+
+  // Check if AI service is configured
+  if (!aiService.isConfigured()) {
+    return fail(503, {
+      error: "AI service not configured",
+      message: aiService.notConfiguredError().error
+    });
+  }
+
+  if (payload.mode === "changeset") {
+    return generateChangeset(payload, userId, context, signal);
+  }
+
+  // Generate response using AI
+  const result = await aiService.generateCode(
+    message.trim(),
+    projectContext,
+    fileContext.files,
+    {
+      signal,
+      history: history.messages,
+      parameters: aiService.resolveParameters(
+        "message",
+        context.project?.settings?.ai,
+        payload
+      )
+    }
+  );
+
+  // A cancelled job doesn't add to the conversation
+  if (signal?.aborted) {
+    return cancelled(userId, "message", result, { projectId });
+  }
+
+  // If AI generation failed, return error
+  if (!result.success) {
+    logger.error("AI generation failed", {
+      error: result.error,
+      code: result.code
+    });
+    return fail(500, {
+      error: "AI generation failed",
+      message: result.error,
+      code: result.code
+    });
+  }
+
+  // Save conversation to database if project specified
+  let conversation = null;
+  if (projectId && result.success) {
+    try {
+      conversation = await db.saveConversation(
+        projectId,
+        userId,
+        message.trim(),
+        result.code,
+        result.model,
+        result.usage?.total_tokens || 0,
+        result.parameters
+      );
+      logger.info(`Conversation saved: ${conversation.id}`);
+    } catch (dbError) {
+      logger.error("Failed to save conversation", dbError);
+      // Don't fail the request if conversation saving fails
+    }
+  }
+
+  await recordUsage(userId, "message", result, {
+    projectId,
+    conversationId: conversation?.id
+  });
+
+  return ok({
+    response: result.code,
+    usage: result.usage,
+    model: result.model,
+    parameters: result.parameters,
+    projectId,
+    conversationId: conversation?.id,
+    history: history.manifest,
+    context: fileContext.manifest,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Validate the code and model parameters of explain, improve and tests
+// requests. Returns a { status, body } error or null.
+const validateCodeRequest = (data) => {
+  const { code } = data;
+
+  if (!code || typeof code !== "string" || code.trim().length === 0) {
+    return fail(400, {
+      error: "Code is required and must be a non-empty string"
+    });
+  }
+
+  if (code.length > 50000) {
+    return fail(400, { error: "Code must be less than 50,000 characters" });
+  }
+
+  const parameterErrors = aiService.validateParameters(data);
+  if (parameterErrors.length > 0) {
+    return fail(400, {
+      error: "Validation failed",
+      details: parameterErrors
+    });
+  }
+
+  return null;
+};
+
+const runExplain = async (payload, { userId, signal }) => {
+  const { code, language = "javascript" } = payload;
+
+  // Check if AI service is configured
+  if (!aiService.isConfigured()) {
+    return fail(503, {
+      error: "AI service not configured",
+      message: aiService.notConfiguredError().error
+    });
+  }
+
+  const result = await aiService.explainCode(code.trim(), language, {
+    signal,
+    parameters: aiService.resolveParameters("explain", payload)
+  });
+
+  if (signal?.aborted) {
+    return cancelled(userId, "explain", result);
+  }
+
+  if (!result.success) {
+    return fail(500, {
+      error: "Code explanation failed",
+      message: result.error
+    });
+  }
+
+  await recordUsage(userId, "explain", result);
+
+  return ok({
+    explanation: result.explanation,
+    language,
+    usage: result.usage,
+    model: result.model,
+    parameters: result.parameters,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const runImprove = async (payload, { userId, signal }) => {
+  const { code, context = "" } = payload;
+
+  // Check if AI service is configured
+  if (!aiService.isConfigured()) {
+    return fail(503, { error: "AI service not configured" });
+  }
+
+  const result = await aiService.suggestImprovements(code.trim(), context, {
+    signal,
+    parameters: aiService.resolveParameters("improve", payload)
+  });
+
+  if (signal?.aborted) {
+    return cancelled(userId, "improve", result);
+  }
+
+  if (!result.success) {
+    return fail(500, {
+      error: "Improvement suggestions failed",
+      message: result.error
+    });
+  }
+
+  await recordUsage(userId, "improve", result);
+
+  return ok({
+    suggestions: result.suggestions,
+    usage: result.usage,
+    model: result.model,
+    parameters: result.parameters,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const runTests = async (payload, { userId, signal }) => {
+  const { code, framework = "jest" } = payload;
+
+  // Check if AI service is configured
+  if (!aiService.isConfigured()) {
+    return fail(503, { error: "AI service not configured" });
+  }
+
+  const result = await aiService.generateTests(code.trim(), framework, {
+    signal,
+    parameters: aiService.resolveParameters("tests", payload)
+  });
+
+  if (signal?.aborted) {
+    return cancelled(userId, "tests", result);
+  }
+
+  if (!result.success) {
+    return fail(500, {
+      error: "Test generation failed",
+      message: result.error
+    });
+  }
+
+  await recordUsage(userId, "tests", result);
+
+  return ok({
+    tests: result.tests,
+    framework,
+    usage: result.usage,
+    model: result.model,
+    parameters: result.parameters,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const operations = {
+  message: audited("message", runMessage),
+  explain: audited("explain", runExplain),
+  improve: audited("improve", runImprove),
+  tests: audited("tests", runTests)
+};
+
+// Background jobs run the same operations as the endpoints below
+Object.entries(operations).forEach(([operation, run]) =>
+  jobService.registerHandler(operation, run)
+);
+
+router.use(attachAudit);
+
+// Process chat message and generate code. With ?async=true the message is
+// queued as a background job; poll it with GET /api/jobs/:id.
+router.post("/message", enforceTokenQuota, async (req, res) => {
   try {
     const { message, projectId } = req.body;
-    const userId = getUserId(req);
+    const userId = req.user.id;
 
-    console.log(`💬 Processing chat message for user: ${userId}`, {
+    logger.info(`Processing chat message for user: ${userId}`, {
       messageLength: message?.length,
       projectId
     });
@@ -52,163 +658,240 @@ router.post("/message", async (req, res) => {
       });
     }
 
-    let projectContext = "";
-    let existingFiles = [];
-    let project = null;
+    if (wantsJob(req)) {
+      return await submitJob(req, res, "message");
+    }
 
-    // Get project context if projectId provided
-    if (projectId) {
-      // Validate UUID format
-      const uuidRegex =
-        /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(projectId)) {
-        return res.status(400).json({
-          success: false,
-          error: "Invalid project ID format"
-        });
-      }
+    const { status, body } = await operations.message(req.body, {
+      userId,
+      actor: auditService.getActor(req)
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    logger.error("Chat message error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process message",
+      message: "An unexpected error occurred while processing your request"
+    });
+  }
+});
 
-      project = await db.getProject(projectId, userId);
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: "Project not found"
-        });
-      }
+// Process chat message and stream the generated code as Server-Sent Events.
+// Emits "token" events while generating, then a single "done" or "error" event.
+router.post("/message/stream", enforceTokenQuota, async (req, res) => {
+  try {
+    const { message, projectId } = req.body;
+    const userId = req.user.id;
 
-      projectContext = `Project: ${project.name}\nDescription: ${
-        project.description || "No description"
-      }\nTemplate: ${project.template_used || "None"}`;
-      existingFiles = await db.getProjectFiles(projectId, userId);
+    logger.info(`Streaming chat message for user: ${userId}`, {
+      messageLength: message?.length,
+      projectId
+    });
 
-      console.log(
-        `📁 Found ${existingFiles.length} existing files for context`
-      );
+    // Validate input
+    const validationErrors = validateChatMessage(req.body);
+    if (req.body.mode === "changeset") {
+      validationErrors.push("Changeset mode does not support streaming");
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
     }
 
+    // Get project context if projectId provided
+    const context = await loadProjectContext(projectId, userId, message, {
+      historyTokenBudget: req.body.historyTokenBudget,
+      contextTokenBudget: req.body.contextTokenBudget
+    });
+    if (context.error) {
+      return res.status(context.status).json({
+        success: false,
+        error: context.error
+      });
+    }
+    const { projectContext, fileContext, history } = context;
+
     // Check if AI service is configured
     if (!aiService.isConfigured()) {
       return res.status(503).json({
         success: false,
         error: "AI service not configured",
-        message:
-          "Claude API key is required but not provided. Please add CLAUDE_API_KEY environment variable."
+        message: aiService.notConfiguredError().error
       });
     }
 
-    // Generate response using AI
-    const result = await aiService.generateCode(
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating if the client goes away before we finish
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        logger.info(
+          `Client disconnected, cancelling stream for user: ${userId}`
+        );
+        controller.abort();
+      }
+    });
+
+    const result = await aiService.streamCode(
       message.trim(),
       projectContext,
-      existingFiles
+      fileContext.files,
+      {
+        history: history.messages,
+        parameters: aiService.resolveParameters(
+          "message",
+          context.project?.settings?.ai,
+          req.body
+        ),
+        signal: controller.signal,
+        onText: (text) => sendEvent("token", { text })
+      }
     );
 
-    // If AI generation failed, return error
+    // The client left, but the tokens used so far still count
+    if (result.aborted) {
+      await recordUsage(userId, "message", result, { projectId });
+      await req.audit(
+        aiAuditEntry("message", req.body, {
+          status: 499,
+          model: result.model,
+          usage: result.usage,
+          stream: true,
+          error: "Client disconnected"
+        })
+      );
+      return;
+    }
+
     if (!result.success) {
-      console.error("❌ AI generation failed:", result.error);
-      return res.status(500).json({
-        success: false,
+      logger.error("AI streaming failed", {
+        error: result.error,
+        code: result.code
+      });
+      await req.audit(
+        aiAuditEntry("message", req.body, {
+          status: 500,
+          stream: true,
+          error: "AI generation failed"
+        })
+      );
+      sendEvent("error", {
         error: "AI generation failed",
         message: result.error,
         code: result.code
       });
+      return res.end();
     }
 
     // Save conversation to database if project specified
     let conversation = null;
-    if (projectId && result.success) {
+    if (projectId) {
       try {
         conversation = await db.saveConversation(
           projectId,
           userId,
           message.trim(),
           result.code,
-          result.model || "claude-3-5-sonnet",
-          result.usage?.total_tokens || 0
+          result.model,
+          result.usage?.total_tokens || 0,
+          result.parameters
         );
-        console.log(`💾 Conversation saved: ${conversation.id}`);
+        logger.info(`Conversation saved: ${conversation.id}`);
       } catch (dbError) {
-        console.error("❌ Failed to save conversation:", dbError);
-        // Don't fail the request if conversation saving fails
+        logger.error("Failed to save conversation", dbError);
+        // Don't fail the stream if conversation saving fails
       }
     }
 
-    // Return successful response
-    res.json({
-      success: true,
-      data: {
-        response: result.code,
-        usage: result.usage,
+    await recordUsage(userId, "message", result, {
+      projectId,
+      conversationId: conversation?.id
+    });
+    await req.audit(
+      aiAuditEntry("message", req.body, {
+        status: 200,
         model: result.model,
-        projectId,
+        usage: result.usage,
         conversationId: conversation?.id,
-        timestamp: new Date().toISOString()
-      }
+        stream: true
+      })
+    );
+
+    sendEvent("done", {
+      usage: result.usage,
+      model: result.model,
+      parameters: result.parameters,
+      projectId,
+      conversationId: conversation?.id,
+      history: history.manifest,
+      context: fileContext.manifest,
+      timestamp: new Date().toISOString()
     });
+    res.end();
   } catch (error) {
-    console.error("❌ Chat message error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to process message",
-      message: "An unexpected error occurred while processing your request"
-    });
+    logger.error("Chat stream error", error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: "Failed to process message",
+        message: "An unexpected error occurred while processing your request"
+      });
+    }
+
+    if (!res.writableEnded) {
+      res.write(
+        `event: error\ndata: ${JSON.stringify({
+          error: "Failed to process message",
+          message: "An unexpected error occurred while processing your request"
+        })}\n\n`
+      );
+      res.end();
+    }
   }
 });
 
-// Explain code endpoint
-router.post("/explain", async (req, res) => {
+// Explain code endpoint (?async=true queues it as a background job)
+router.post("/explain", enforceTokenQuota, async (req, res) => {
   try {
     const { code, language = "javascript" } = req.body;
 
-    console.log(`🔍 Explaining code (${language}):`, {
+    logger.info(`Explaining code (${language})`, {
       codeLength: code?.length
     });
 
     // Validate input
-    if (!code || typeof code !== "string" || code.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Code is required and must be a non-empty string"
-      });
+    const invalid = validateCodeRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
 
-    if (code.length > 50000) {
-      return res.status(400).json({
-        success: false,
-        error: "Code must be less than 50,000 characters"
-      });
+    if (wantsJob(req)) {
+      return await submitJob(req, res, "explain");
     }
 
-    // Check if AI service is configured
-    if (!aiService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        error: "AI service not configured",
-        message: "Claude API key is required but not provided"
-      });
-    }
-
-    const result = await aiService.explainCode(code.trim(), language);
-
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: "Code explanation failed",
-        message: result.error
-      });
-    }
-
-    res.json({
-      success: true,
-      data: {
-        explanation: result.explanation,
-        language,
-        usage: result.usage,
-        timestamp: new Date().toISOString()
-      }
+    const { status, body } = await operations.explain(req.body, {
+      userId: req.user.id,
+      actor: auditService.getActor(req)
     });
+    res.status(status).json(body);
   } catch (error) {
-    console.error("❌ Explain code error:", error);
+    logger.error("Explain code error", error);
     res.status(500).json({
       success: false,
       error: "Failed to explain code"
@@ -216,59 +899,33 @@ router.post("/explain", async (req, res) => {
   }
 });
 
-// Suggest improvements endpoint
-router.post("/improve", async (req, res) => {
+// Suggest improvements endpoint (?async=true queues it as a background job)
+router.post("/improve", enforceTokenQuota, async (req, res) => {
   try {
     const { code, context = "" } = req.body;
 
-    console.log(`✨ Suggesting improvements:`, {
+    logger.info("Suggesting improvements", {
       codeLength: code?.length,
       hasContext: !!context
     });
 
     // Validate input
-    if (!code || typeof code !== "string" || code.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Code is required and must be a non-empty string"
-      });
+    const invalid = validateCodeRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
 
-    if (code.length > 50000) {
-      return res.status(400).json({
-        success: false,
-        error: "Code must be less than 50,000 characters"
-      });
+    if (wantsJob(req)) {
+      return await submitJob(req, res, "improve");
     }
 
-    // Check if AI service is configured
-    if (!aiService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        error: "AI service not configured"
-      });
-    }
-
-    const result = await aiService.suggestImprovements(code.trim(), context);
-
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: "Improvement suggestions failed",
-        message: result.error
-      });
-    }
-
-    res.json({
-      success: true,
-      data: {
-        suggestions: result.suggestions,
-        usage: result.usage,
-        timestamp: new Date().toISOString()
-      }
+    const { status, body } = await operations.improve(req.body, {
+      userId: req.user.id,
+      actor: auditService.getActor(req)
     });
+    res.status(status).json(body);
   } catch (error) {
-    console.error("❌ Improve code error:", error);
+    logger.error("Improve code error", error);
     res.status(500).json({
       success: false,
       error: "Failed to suggest improvements"
@@ -276,59 +933,32 @@ router.post("/improve", async (req, res) => {
   }
 });
 
-// Generate tests endpoint
-router.post("/tests", async (req, res) => {
+// Generate tests endpoint (?async=true queues it as a background job)
+router.post("/tests", enforceTokenQuota, async (req, res) => {
   try {
     const { code, framework = "jest" } = req.body;
 
-    console.log(`🧪 Generating tests (${framework}):`, {
+    logger.info(`Generating tests (${framework})`, {
       codeLength: code?.length
     });
 
     // Validate input
-    if (!code || typeof code !== "string" || code.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Code is required and must be a non-empty string"
-      });
-    }
-
-    if (code.length > 50000) {
-      return res.status(400).json({
-        success: false,
-        error: "Code must be less than 50,000 characters"
-      });
+    const invalid = validateCodeRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
 
-    // Check if AI service is configured
-    if (!aiService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        error: "AI service not configured"
-      });
-    }
-
-    const result = await aiService.generateTests(code.trim(), framework);
-
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: "Test generation failed",
-        message: result.error
-      });
+    if (wantsJob(req)) {
+      return await submitJob(req, res, "tests");
     }
 
-    res.json({
-      success: true,
-      data: {
-        tests: result.tests,
-        framework,
-        usage: result.usage,
-        timestamp: new Date().toISOString()
-      }
+    const { status, body } = await operations.tests(req.body, {
+      userId: req.user.id,
+      actor: auditService.getActor(req)
     });
+    res.status(status).json(body);
   } catch (error) {
-    console.error("❌ Generate tests error:", error);
+    logger.error("Generate tests error", error);
     res.status(500).json({
       success: false,
       error: "Failed to generate tests"
@@ -336,14 +966,15 @@ router.post("/tests", async (req, res) => {
   }
 });
 
-// Get conversation history for a project
+// Get a page of conversation history for a project. Pages go back from the
+// newest (or forward from the oldest with ?order=asc) via ?cursor=; each
+// page is in chronological order. ?since= and ?until= bound created_at.
 router.get("/conversations/:projectId", async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = getUserId(req);
-    const limit = parseInt(req.query.limit) || 50;
+    const userId = req.user.id;
 
-    console.log(`📚 Fetching conversations for project: ${projectId}`);
+    logger.info(`Fetching conversations for project: ${projectId}`);
 
     // Validate UUID format
     const uuidRegex =
@@ -355,6 +986,25 @@ router.get("/conversations/:projectId", async (req, res) => {
       });
     }
 
+    const { errors, page } = parsePageParams(req.query);
+    if (
+      req.query.order !== undefined &&
+      !["asc", "desc"].includes(req.query.order)
+    ) {
+      errors.push("order must be asc or desc");
+    }
+    const dates = ["since", "until"].map((field) =>
+      parseDateParam(req.query, field)
+    );
+    dates.forEach(({ error }) => error && errors.push(error));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
     // Verify project exists and user has access
     const project = await db.getProject(projectId, userId);
     if (!project) {
@@ -364,20 +1014,30 @@ router.get("/conversations/:projectId", async (req, res) => {
       });
     }
 
-    const conversations = await db.getConversations(
+    const { items, nextCursor } = await db.getConversationPage(
       projectId,
       userId,
-      Math.min(limit, 100)
+      {
+        ...page,
+        order: req.query.order,
+        since: dates[0].date,
+        until: dates[1].date
+      }
     );
 
     res.json({
       success: true,
-      data: conversations,
-      count: conversations.length,
-      projectId
+      data: items,
+      count: items.length,
+      projectId,
+      pagination: {
+        limit: page.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
     });
   } catch (error) {
-    console.error("❌ Get conversations error:", error);
+    logger.error("Get conversations error", error);
     res.status(500).json({
       success: false,
       error: "Failed to fetch conversations"
@@ -385,6 +1045,28 @@ router.get("/conversations/:projectId", async (req, res) => {
   }
 });
 
+// Get remaining token quota for the current user (and optionally a project)
+router.get("/quota", async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const result = await quotaService.checkQuota(req.user.id, projectId);
+
+    res.json({
+      success: true,
+      data: {
+        allowed: result.allowed,
+        quotas: result.quotas
+      }
+    });
+  } catch (error) {
+    logger.error("Get quota error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch token quota"
+    });
+  }
+});
+
 // Get AI service status
 router.get("/status", (req, res) => {
   try {
@@ -394,20 +1076,29 @@ router.get("/status", (req, res) => {
       success: true,
       data: {
         configured: stats.configured,
+        provider: stats.provider,
         model: stats.model,
+        models: stats.models,
+        maxTokensLimit: stats.maxTokensLimit,
         features: stats.features,
         endpoints: [
-          "POST /api/chat/message - Generate code from natural language",
+          "POST /api/chat/message - Generate code from natural language (mode: code | changeset)",
+          "POST /api/chat/{message,explain,improve,tests}?async=true - Queue the request as a background job",
+          "POST /api/chat/message/stream - Stream generated code as Server-Sent Events",
           "POST /api/chat/explain - Explain existing code",
           "POST /api/chat/improve - Suggest code improvements",
           "POST /api/chat/tests - Generate unit tests",
-          "GET /api/chat/conversations/:projectId - Get conversation history",
-          "GET /api/chat/status - Get AI service status"
+          "GET /api/chat/conversations/:projectId - Get conversation history (paginated)",
+          "GET /api/chat/quota - Get remaining token quota",
+          "GET /api/chat/status - Get AI service status",
+          "GET /api/jobs - List background jobs",
+          "GET /api/jobs/:id - Get a background job and its result",
+          "POST /api/jobs/:id/cancel - Cancel a background job"
         ]
       }
     });
   } catch (error) {
-    console.error("❌ Chat status error:", error);
+    logger.error("Chat status error", error);
     res.status(500).json({
       success: false,
       error: "Failed to get chat status"
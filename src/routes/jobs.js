@@ -0,0 +1,157 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../services/database");
+const jobService = require("../services/jobs");
+const { parsePageParams } = require("../utils/pagination");
+const logger = require("../utils/logger");
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Validate job listing query parameters. Returns { errors, options }.
+const validateJobListQuery = (query) => {
+  const { errors, page } = parsePageParams(query);
+  const options = { ...page };
+
+  if (query.status !== undefined) {
+    if (!jobService.getStatuses().includes(query.status)) {
+      errors.push(
+        `status must be one of: ${jobService.getStatuses().join(", ")}`
+      );
+    }
+    options.status = query.status;
+  }
+
+  if (query.operation !== undefined) {
+    if (!jobService.getOperations().includes(query.operation)) {
+      errors.push(
+        `operation must be one of: ${jobService.getOperations().join(", ")}`
+      );
+    }
+    options.operation = query.operation;
+  }
+
+  if (query.projectId !== undefined) {
+    if (!uuidRegex.test(query.projectId)) {
+      errors.push("Invalid project ID format");
+    }
+    options.projectId = query.projectId;
+  }
+
+  return { errors, options };
+};
+
+// List the caller's background AI jobs, newest first (without payloads and
+// results). Filters: status, operation, projectId.
+router.get("/", async (req, res) => {
+  try {
+    const { errors, options } = validateJobListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const { items, nextCursor } = await db.getAiJobs(req.user.id, options);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      pagination: {
+        limit: options.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    logger.error("List jobs error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch jobs"
+    });
+  }
+});
+
+// Get a job with its request and, once finished, its result or error.
+// result holds the data the synchronous endpoint would have returned.
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid job ID format"
+      });
+    }
+
+    const job = await db.getAiJob(id, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error("Get job error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch job"
+    });
+  }
+});
+
+// Cancel a job. Queued jobs are cancelled at once; running jobs are
+// cancelled when their worker notices, and their result is discarded.
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid job ID format"
+      });
+    }
+
+    const job = await jobService.cancel(id, userId);
+    if (!job) {
+      const existing = await db.getAiJob(id, userId);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: "Job not found"
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${existing.status}`
+      });
+    }
+
+    logger.info(`Job ${id} cancel requested by user: ${userId}`);
+
+    // A running job stays "running" until its worker stops it
+    res.status(job.status === "cancelled" ? 200 : 202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error("Cancel job error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel job"
+    });
+  }
+});
+
+module.exports = router;
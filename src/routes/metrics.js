@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const metrics = require("../services/metrics");
+const logger = require("../utils/logger");
+
+// Prometheus scrape endpoint. When METRICS_TOKEN is set, scrapers must send
+// it as a bearer token.
+router.get("/", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid metrics token"
+    });
+  }
+
+  try {
+    res.set("Content-Type", metrics.getContentType());
+    res.send(await metrics.getMetrics());
+  } catch (error) {
+    logger.error("Metrics error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to collect metrics"
+    });
+  }
+});
+
+module.exports = router;
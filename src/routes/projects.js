@@ -1,12 +1,51 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../services/database");
+const aiService = require("../services/ai");
+const templateService = require("../services/templates");
+const trashService = require("../services/trash");
+const auditService = require("../services/audit");
+const { isAdmin } = require("../middleware/auth");
+const { attachAudit } = require("../middleware/audit");
+const { PROJECT_ROLES, hasRole } = require("../utils/roles");
+const { EDITABLE_STATUSES } = require("../utils/status");
 const { v4: uuidv4 } = require("uuid");
-
-// Helper function to get user ID (replace with real auth later)
-const getUserId = (req) => {
-  return req.headers["x-user-id"] || "demo-user";
+const path = require("path");
+const { detectFileType, normalizeFilePath } = require("../utils/files");
+const { validateOperations } = require("../utils/changesets");
+const { createTwoFilesPatch } = require("diff");
+const { parsePageParams, parseDateParam } = require("../utils/pagination");
+const {
+  EXPORT_FORMATS,
+  METADATA_DIR,
+  createArchive,
+  archiveFileName,
+  readArchiveFiles
+} = require("../utils/archive");
+const logger = require("../utils/logger");
+
+// Archive imports: the upload is the raw request body
+const IMPORT_LIMITS = {
+  maxArchiveBytes:
+    parseInt(process.env.IMPORT_MAX_ARCHIVE_BYTES) || 20 * 1024 * 1024,
+  maxFileBytes: parseInt(process.env.IMPORT_MAX_FILE_BYTES) || 1024 * 1024,
+  maxFiles: parseInt(process.env.IMPORT_MAX_FILES) || 1000,
+  maxTotalBytes:
+    parseInt(process.env.IMPORT_MAX_TOTAL_BYTES) || 50 * 1024 * 1024
 };
+const archiveUpload = express.raw({
+  type: [
+    "application/zip",
+    "application/x-zip-compressed",
+    "application/gzip",
+    "application/x-gzip",
+    "application/octet-stream"
+  ],
+  limit: IMPORT_LIMITS.maxArchiveBytes
+});
+
+// Every create, update and delete below is recorded with req.audit()
+router.use(attachAudit);
 
 // Validation helper
 const validateProjectData = (data) => {
@@ -32,24 +71,152 @@ const validateProjectData = (data) => {
     errors.push("Template must be a string");
   }
 
+  if (
+    data.templateVariables !== undefined &&
+    (!data.templateVariables ||
+      typeof data.templateVariables !== "object" ||
+      Array.isArray(data.templateVariables) ||
+      !Object.values(data.templateVariables).every(
+        (value) => typeof value === "string"
+      ))
+  ) {
+    errors.push("templateVariables must be an object of strings");
+  }
+
   return errors;
 };
 
-// Get all projects for user
+// Validate project settings. settings.ai holds the project's default
+// { model, maxTokens, temperature } for chat requests.
+const validateProjectSettings = (settings) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return ["Settings must be an object"];
+  }
+
+  if (settings.ai === undefined) {
+    return [];
+  }
+
+  if (!settings.ai || typeof settings.ai !== "object") {
+    return ["settings.ai must be an object"];
+  }
+
+  return aiService
+    .validateParameters(settings.ai)
+    .map((error) => `settings.ai: ${error}`);
+};
+
+// Validate ?order= against asc/desc. Returns an error message or null.
+const validateOrder = (query) =>
+  query.order === undefined || ["asc", "desc"].includes(query.order)
+    ? null
+    : "order must be asc or desc";
+
+// Validate project listing query parameters. Returns { errors, options }.
+const validateProjectListQuery = (query) => {
+  const { errors, page } = parsePageParams(query, query.sort || "updated_at");
+  const options = { ...page };
+
+  if (query.sort !== undefined) {
+    if (!["updated_at", "created_at", "name"].includes(query.sort)) {
+      errors.push("sort must be one of: updated_at, created_at, name");
+    }
+    options.sort = query.sort;
+  }
+  const orderError = validateOrder(query);
+  if (orderError) errors.push(orderError);
+  // Names read best A-Z, dates newest first
+  options.order = query.order || (query.sort === "name" ? "asc" : "desc");
+
+  // Deleted projects are listed through /trash
+  if (query.status !== undefined) {
+    if (!EDITABLE_STATUSES.includes(query.status)) {
+      errors.push(`status must be one of: ${EDITABLE_STATUSES.join(", ")}`);
+    }
+    options.status = query.status;
+  }
+
+  if (query.template !== undefined) {
+    if (typeof query.template !== "string" || query.template.length > 100) {
+      errors.push("template must be a string");
+    }
+    options.template = query.template;
+  }
+
+  const { error, date } = parseDateParam(query, "updatedSince");
+  if (error) errors.push(error);
+  if (date) options.updatedSince = date;
+
+  return { errors, options };
+};
+
+// Validate file listing query parameters. Returns { errors, options }.
+const validateFileListQuery = (query) => {
+  const { errors, page } = parsePageParams(query, query.sort || "path");
+  const options = { ...page };
+
+  if (query.sort !== undefined) {
+    if (!["path", "updated_at", "size"].includes(query.sort)) {
+      errors.push("sort must be one of: path, updated_at, size");
+    }
+    options.sort = query.sort;
+  }
+  const orderError = validateOrder(query);
+  if (orderError) errors.push(orderError);
+  options.order =
+    query.order || (query.sort && query.sort !== "path" ? "desc" : "asc");
+
+  if (query.fields !== undefined && query.fields !== "metadata") {
+    errors.push("fields must be metadata");
+  }
+  options.metadataOnly = query.fields === "metadata";
+
+  ["fileType", "path"].forEach((field) => {
+    if (query[field] === undefined) return;
+    if (typeof query[field] !== "string" || query[field].length > 500) {
+      errors.push(`${field} must be a string`);
+    }
+  });
+  options.fileType = query.fileType;
+  options.pathPrefix = query.path;
+
+  const { error, date } = parseDateParam(query, "updatedSince");
+  if (error) errors.push(error);
+  if (date) options.updatedSince = date;
+
+  return { errors, options };
+};
+
+// Get a page of the user's projects. Supports ?limit=&cursor= plus
+// status, template and updatedSince filters and sort/order.
 router.get("/", async (req, res) => {
   try {
-    const userId = getUserId(req);
-    console.log(`📊 Fetching projects for user: ${userId}`);
+    const userId = req.user.id;
+    logger.info(`Fetching projects for user: ${userId}`);
+
+    const { errors, options } = validateProjectListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
 
-    const projects = await db.getProjects(userId);
+    const { items, nextCursor } = await db.getProjects(userId, options);
 
     res.json({
       success: true,
-      data: projects,
-      count: projects.length
+      data: items,
+      count: items.length,
+      pagination: {
+        limit: options.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
     });
   } catch (error) {
-    console.error("❌ Get projects error:", error);
+    logger.error("Get projects error", error);
     res.status(500).json({
       success: false,
       error: "Failed to fetch projects"
@@ -57,13 +224,51 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Get specific project by ID with files and conversations
+// List the trashed projects the user owns, with the date each is purged
+router.get("/trash", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    logger.info(`Fetching trash for user: ${userId}`);
+
+    const { errors, page } = parsePageParams(req.query, "deleted_at");
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const { items, nextCursor } = await trashService.listTrash(userId, page);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      retentionDays: trashService.retentionDays,
+      pagination: {
+        limit: page.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    logger.error("Get trash error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch trash"
+    });
+  }
+});
+
+// Get specific project by ID with files and conversations.
+// ?fields=metadata leaves out file contents.
 router.get("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = getUserId(req);
+    const userId = req.user.id;
 
-    console.log(`📊 Fetching project ${id} for user: ${userId}`);
+    logger.info(`Fetching project ${id} for user: ${userId}`);
 
     // Validate UUID format
     const uuidRegex =
@@ -75,6 +280,13 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    if (req.query.fields !== undefined && req.query.fields !== "metadata") {
+      return res.status(400).json({
+        success: false,
+        error: "fields must be metadata"
+      });
+    }
+
     const project = await db.getProject(id, userId);
 
     if (!project) {
@@ -86,7 +298,9 @@ router.get("/:id", async (req, res) => {
 
     // Get project files and conversations in parallel
     const [files, conversations] = await Promise.all([
-      db.getProjectFiles(id, userId),
+      db.getProjectFiles(id, userId, {
+        metadataOnly: req.query.fields === "metadata"
+      }),
       db.getConversations(id, userId, 50)
     ]);
 
@@ -103,7 +317,7 @@ router.get("/:id", async (req, res) => {
       }
     });
   } catch (error) {
-    console.error("❌ Get project error:", error);
+    logger.error("Get project error", error);
     res.status(500).json({
       success: false,
       error: "Failed to fetch project"
@@ -115,9 +329,9 @@ router.get("/:id", async (req, res) => {
 router.post("/", async (req, res) => {
   try {
     const { name, description, template } = req.body;
-    const userId = getUserId(req);
+    const userId = req.user.id;
 
-    console.log(`📊 Creating project for user: ${userId}`, { name, template });
+    logger.info(`Creating project for user: ${userId}`, { name, template });
 
     // Validate input
     const validationErrors = validateProjectData(req.body);
@@ -129,6 +343,36 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // Resolve the template before creating anything so unknown templates
+    // and missing variables are rejected up front
+    let templateFiles = [];
+    if (template) {
+      const templateData = await templateService.getTemplate(template, userId);
+      if (!templateData) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown template: ${template}`
+        });
+      }
+
+      const { values, missing } = templateService.resolveVariables(
+        templateData,
+        { name: name.trim(), description: description?.trim() || "" },
+        req.body.templateVariables
+      );
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing template variables",
+          details: missing.map(
+            (variable) => `templateVariables.${variable} is required`
+          )
+        });
+      }
+
+      templateFiles = templateService.renderFiles(templateData, values);
+    }
+
     // Create project
     const project = await db.createProject(
       userId,
@@ -139,7 +383,6 @@ router.post("/", async (req, res) => {
 
     // If template specified, create initial files
     if (template) {
-      const templateFiles = getTemplateFiles(template);
       const createdFiles = [];
 
       for (const file of templateFiles) {
@@ -149,14 +392,12 @@ router.post("/", async (req, res) => {
             file.path,
             file.name,
             file.content,
-            file.type
+            file.type,
+            { authorId: userId, source: "template" }
           );
           createdFiles.push(createdFile);
         } catch (fileError) {
-          console.error(
-            `❌ Error creating template file ${file.path}:`,
-            fileError
-          );
+          logger.error(`Error creating template file ${file.path}`, fileError);
           // Continue with other files even if one fails
         }
       }
@@ -164,14 +405,27 @@ router.post("/", async (req, res) => {
       project.files = createdFiles;
     }
 
-    console.log(`✅ Project created: ${project.id}`);
+    logger.info(`Project created: ${project.id}`);
+    await req.audit({
+      action: "project.create",
+      targetType: "project",
+      targetId: project.id,
+      projectId: project.id,
+      changes: {
+        after: { name: project.name, description: project.description }
+      },
+      metadata: {
+        template: template || null,
+        fileCount: project.files?.length || 0
+      }
+    });
 
     res.status(201).json({
       success: true,
       data: project
     });
   } catch (error) {
-    console.error("❌ Create project error:", error);
+    logger.error("Create project error", error);
     res.status(500).json({
       success: false,
       error: "Failed to create project"
@@ -183,10 +437,10 @@ router.post("/", async (req, res) => {
 router.put("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = getUserId(req);
+    const userId = req.user.id;
     const updates = req.body;
 
-    console.log(`📊 Updating project ${id} for user: ${userId}`);
+    logger.info(`Updating project ${id} for user: ${userId}`);
 
     // Validate UUID format
     const uuidRegex =
@@ -227,6 +481,56 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    if (
+      filteredUpdates.status !== undefined &&
+      !EDITABLE_STATUSES.includes(filteredUpdates.status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [
+          `status must be one of: ${EDITABLE_STATUSES.join(", ")} (use DELETE to move a project to the trash)`
+        ]
+      });
+    }
+
+    if (filteredUpdates.settings !== undefined) {
+      const settingsErrors = validateProjectSettings(filteredUpdates.settings);
+      if (settingsErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: settingsErrors
+        });
+      }
+    }
+
+    const project = await db.getProject(id, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    // Editors can rename and describe the project; status and settings
+    // (including token quotas) are for owners
+    const ownerFields = ["status", "settings"].filter(
+      (field) => filteredUpdates[field] !== undefined
+    );
+    if (ownerFields.length > 0 && !hasRole(project.role, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: `Owner access required to change ${ownerFields.join(", ")}`
+      });
+    }
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
     const updatedProject = await db.updateProject(id, userId, filteredUpdates);
 
     if (!updatedProject) {
@@ -236,12 +540,20 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    await req.audit({
+      action: "project.update",
+      targetType: "project",
+      targetId: id,
+      projectId: id,
+      changes: auditService.diffFields(project, filteredUpdates)
+    });
+
     res.json({
       success: true,
       data: updatedProject
     });
   } catch (error) {
-    console.error("❌ Update project error:", error);
+    logger.error("Update project error", error);
     res.status(500).json({
       success: false,
       error: "Failed to update project"
@@ -249,13 +561,14 @@ router.put("/:id", async (req, res) => {
   }
 });
 
-// Delete project (soft delete)
+// Move a project to the trash. It can be restored until the retention
+// window passes, then it is purged with its files and conversations.
 router.delete("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = getUserId(req);
+    const userId = req.user.id;
 
-    console.log(`📊 Deleting project ${id} for user: ${userId}`);
+    logger.info(`Deleting project ${id} for user: ${userId}`);
 
     // Validate UUID format
     const uuidRegex =
@@ -267,6 +580,21 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    const project = await db.getProject(id, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Owner access required"
+      });
+    }
+
     const deletedProject = await db.deleteProject(id, userId);
 
     if (!deletedProject) {
@@ -276,13 +604,27 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await req.audit({
+      action: "project.delete",
+      targetType: "project",
+      targetId: id,
+      projectId: id,
+      changes: {
+        before: { status: project.status },
+        after: { status: deletedProject.status }
+      }
+    });
+
     res.json({
       success: true,
-      message: "Project deleted successfully",
-      data: deletedProject
+      message: "Project moved to trash",
+      data: {
+        ...deletedProject,
+        purge_at: trashService.getPurgeAt(deletedProject)
+      }
     });
   } catch (error) {
-    console.error("❌ Delete project error:", error);
+    logger.error("Delete project error", error);
     res.status(500).json({
       success: false,
       error: "Failed to delete project"
@@ -290,303 +632,1636 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
-// Save file to project
-router.post("/:id/files", async (req, res) => {
+// Restore a project from the trash (owner only)
+router.post("/:id/restore", async (req, res) => {
   try {
-    const { id: projectId } = req.params;
-    const { filePath, fileName, content, fileType = "text" } = req.body;
-    const userId = getUserId(req);
+    const { id } = req.params;
+    const userId = req.user.id;
 
-    console.log(`📁 Saving file to project ${projectId}: ${filePath}`);
+    logger.info(`Restoring project ${id} for user: ${userId}`);
 
-    // Validate input
-    if (!filePath || !fileName || content === undefined) {
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
       return res.status(400).json({
         success: false,
-        error: "filePath, fileName, and content are required"
+        error: "Invalid project ID format"
       });
     }
 
-    // Verify project ownership
-    const project = await db.getProject(projectId, userId);
+    // Only owners see the trash, so anyone else gets a 404 here too
+    const project = await db.restoreProject(id, userId);
     if (!project) {
       return res.status(404).json({
         success: false,
-        error: "Project not found"
+        error: "Project not found in trash"
       });
     }
 
-    const file = await db.saveProjectFile(
-      projectId,
-      filePath,
-      fileName,
-      content,
-      fileType
-    );
+    await req.audit({
+      action: "project.restore",
+      targetType: "project",
+      targetId: id,
+      projectId: id,
+      changes: { before: { status: "deleted" }, after: { status: "active" } }
+    });
 
     res.json({
       success: true,
-      data: file
+      message: "Project restored",
+      data: project
     });
   } catch (error) {
-    console.error("❌ Save file error:", error);
+    logger.error("Restore project error", error);
     res.status(500).json({
       success: false,
-      error: "Failed to save file"
+      error: "Failed to restore project"
     });
   }
 });
 
-// Get specific file
-router.get("/:id/files/*", async (req, res) => {
+// List project members and their roles
+router.get("/:id/members", async (req, res) => {
   try {
     const { id: projectId } = req.params;
-    const filePath = req.params[0]; // Everything after /files/
-    const userId = getUserId(req);
+    const userId = req.user.id;
 
-    const file = await db.getProjectFile(projectId, filePath, userId);
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
 
-    if (!file) {
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
       return res.status(404).json({
         success: false,
-        error: "File not found"
+        error: "Project not found"
       });
     }
 
+    const members = await db.getProjectMembers(projectId);
+
     res.json({
       success: true,
-      data: file
+      data: members,
+      count: members.length
     });
   } catch (error) {
-    console.error("❌ Get file error:", error);
+    logger.error("List members error", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch file"
+      error: "Failed to fetch members"
     });
   }
 });
 
-// Delete file from project
-router.delete("/:id/files", async (req, res) => {
+// Share the project with a registered user by email, or change the role of
+// an existing member (owners only)
+router.post("/:id/members", async (req, res) => {
   try {
     const { id: projectId } = req.params;
-    const { filePath } = req.body;
-    const userId = getUserId(req);
+    const { email, role } = req.body;
+    const userId = req.user.id;
 
-    if (!filePath) {
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
       return res.status(400).json({
         success: false,
-        error: "filePath is required"
+        error: "Invalid project ID format"
+      });
+    }
+
+    const validationErrors = [];
+    if (!email || typeof email !== "string") {
+      validationErrors.push("email is required");
+    }
+    if (!PROJECT_ROLES.includes(role)) {
+      validationErrors.push(`role must be one of: ${PROJECT_ROLES.join(", ")}`);
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
       });
     }
 
-    const deletedFile = await db.deleteProjectFile(projectId, filePath, userId);
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
 
-    if (!deletedFile) {
+    if (!hasRole(project.role, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Owner access required"
+      });
+    }
+
+    const invitee = await db.getUserByEmail(email.trim().toLowerCase());
+    if (!invitee) {
       return res.status(404).json({
         success: false,
-        error: "File not found"
+        error: "No user with this email"
       });
     }
+    const inviteeId = String(invitee.id);
 
-    res.json({
+    let previousRole = null;
+    const member = await db.transaction(async (tx) => {
+      const owners = await tx.lockProjectOwners(projectId);
+      if (role !== "owner" && owners.length === 1 && owners[0] === inviteeId) {
+        return null;
+      }
+      const existing = (await tx.getProjectMembers(projectId)).find(
+        (row) => row.user_id === inviteeId
+      );
+      previousRole = existing ? existing.role : null;
+      return tx.addProjectMember(projectId, inviteeId, role, userId);
+    });
+
+    if (!member) {
+      return res.status(409).json({
+        success: false,
+        error: "A project must keep at least one owner"
+      });
+    }
+
+    logger.info(`User ${inviteeId} is now ${role} of project ${projectId}`);
+    await req.audit({
+      action: previousRole ? "member.update" : "member.add",
+      targetType: "member",
+      targetId: inviteeId,
+      projectId,
+      changes: {
+        before: previousRole ? { role: previousRole } : null,
+        after: { role }
+      },
+      metadata: { email: invitee.email }
+    });
+
+    res.status(201).json({
       success: true,
-      message: "File deleted successfully",
-      data: deletedFile
+      data: { ...member, email: invitee.email, name: invitee.name }
     });
   } catch (error) {
-    console.error("❌ Delete file error:", error);
+    logger.error("Add member error", error);
     res.status(500).json({
       success: false,
-      error: "Failed to delete file"
+      error: "Failed to add member"
     });
   }
 });
 
-// Template files function
-function getTemplateFiles(template) {
-  const templates = {
-    "react-basic": [
-      {
-        path: "src/App.tsx",
-        name: "App.tsx",
-        type: "typescript",
-        content: `import React from 'react';
-
-function App() {
-  return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-      <div className="bg-white p-8 rounded-lg shadow-md max-w-md mx-auto">
-        <h1 className="text-3xl font-bold text-gray-800 mb-4">
-          Welcome to your AI-generated app! 🚀
-        </h1>
-        <p className="text-gray-600 mb-4">
-          This is your starting point. Ask the AI to modify or add features!
-        </p>
-        <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
-          <p className="text-blue-700 text-sm">
-            💡 Try asking the AI: "Add a button that changes the background color"
-          </p>
-        </div>
-      </div>
-    </div>
-  );
-}
-
-export default App;`
-      },
-      {
-        path: "package.json",
-        name: "package.json",
-        type: "json",
-        content: JSON.stringify(
-          {
-            name: "ai-generated-app",
-            version: "1.0.0",
-            private: true,
-            dependencies: {
-              react: "^18.2.0",
-              "react-dom": "^18.2.0",
-              "@types/react": "^18.2.0",
-              "@types/react-dom": "^18.2.0",
-              typescript: "^5.0.0",
-              tailwindcss: "^3.3.0"
-            },
-            scripts: {
-              start: "react-scripts start",
-              build: "react-scripts build",
-              test: "react-scripts test",
-              eject: "react-scripts eject"
-            },
-            eslintConfig: {
-              extends: ["react-app", "react-app/jest"]
-            },
-            browserslist: {
-              production: [">0.2%", "not dead", "not op_mini all"],
-              development: [
-                "last 1 chrome version",
-                "last 1 firefox version",
-                "last 1 safari version"
-              ]
-            }
-          },
-          null,
-          2
-        )
-      },
-      {
-        path: "src/index.tsx",
-        name: "index.tsx",
-        type: "typescript",
-        content: `import React from 'react';
-import ReactDOM from 'react-dom/client';
-import './index.css';
-import App from './App';
-
-const root = ReactDOM.createRoot(
-  document.getElementById('root') as HTMLElement
-);
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);`
-      },
-      {
-        path: "src/index.css",
-        name: "index.css",
-        type: "css",
-        content: `@tailwind base;
-@tailwind components;
-@tailwind utilities;
-
-body {
-  margin: 0;
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen',
-    'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue',
-    sans-serif;
-  -webkit-font-smoothing: antialiased;
-  -moz-osx-font-smoothing: grayscale;
-}
-
-code {
-  font-family: source-code-pro, Menlo, Monaco, Consolas, 'Courier New',
-    monospace;
-}`
-      }
-    ],
-    dashboard: [
-      {
-        path: "src/App.tsx",
-        name: "App.tsx",
-        type: "typescript",
-        content: `import React, { useState } from 'react';
-
-interface DashboardCard {
-  id: number;
-  title: string;
-  value: string;
-  change: string;
-  positive: boolean;
-}
-
-function App() {
-  const [cards] = useState<DashboardCard[]>([
-    { id: 1, title: 'Total Users', value: '12,543', change: '+12%', positive: true },
-    { id: 2, title: 'Revenue', value: '$45,231', change: '+8%', positive: true },
-    { id: 3, title: 'Orders', value: '1,234', change: '-3%', positive: false },
-    { id: 4, title: 'Growth', value: '23%', change: '+5%', positive: true },
-    { id: 5, title: 'Conversion', value: '3.4%', change: '+0.2%', positive: true },
-    { id: 6, title: 'Bounce Rate', value: '42%', change: '-1%', positive: true }
-  ]);
-
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <div className="bg-white shadow">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-6">
-            <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
-            <button className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition-colors">
-              New Item
-            </button>
-          </div>
-        </div>
-      </div>
-      
-      <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
-          {cards.map(card => (
-            <div key={card.id} className="bg-white rounded-lg shadow hover:shadow-md transition-shadow p-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-gray-600 mb-1">{card.title}</p>
-                  <p className="text-2xl font-bold text-gray-900">{card.value}</p>
-                </div>
-                <div className={\`text-sm font-medium \${card.positive ? 'text-green-600' : 'text-red-600'}\`}>
-                  {card.change}
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
-        
-        <div className="bg-white rounded-lg shadow p-6">
-          <h2 className="text-xl font-bold text-gray-900 mb-4">Recent Activity</h2>
-          <p className="text-gray-600">
-            This is your dashboard template. Ask the AI to customize it with charts, tables, or any other features you need!
-          </p>
-        </div>
-      </main>
-    </div>
-  );
-}
-
-export default App;`
-      }
-    ]
-  };
+// Remove a member. Owners can remove anyone; other members can only remove
+// themselves (leave the project).
+router.delete("/:id/members/:userId", async (req, res) => {
+  try {
+    const { id: projectId, userId: memberId } = req.params;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
 
-  return templates[template] || [];
-}
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (memberId !== userId && !hasRole(project.role, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Owner access required"
+      });
+    }
+
+    const outcome = await db.transaction(async (tx) => {
+      const owners = await tx.lockProjectOwners(projectId);
+      if (owners.length === 1 && owners[0] === memberId) {
+        return { status: 409, error: "A project must keep at least one owner" };
+      }
+
+      const removed = await tx.removeProjectMember(projectId, memberId);
+      if (!removed) {
+        return { status: 404, error: "Member not found" };
+      }
+      return { removed };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error
+      });
+    }
+
+    logger.info(`Removed member ${memberId} from project ${projectId}`);
+    await req.audit({
+      action: "member.remove",
+      targetType: "member",
+      targetId: memberId,
+      projectId,
+      changes: { before: { role: outcome.removed.role }, after: null }
+    });
+
+    res.json({
+      success: true,
+      message: "Member removed successfully",
+      data: outcome.removed
+    });
+  } catch (error) {
+    logger.error("Remove member error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove member"
+    });
+  }
+});
+
+// Save file to project
+router.post("/:id/files", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { filePath, fileName, content, fileType = "text" } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Saving file to project ${projectId}: ${filePath}`);
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    // Validate input
+    if (!filePath || !fileName || content === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "filePath, fileName, and content are required"
+      });
+    }
+
+    // Stored paths end up in exported archives, so they must stay inside
+    // the project
+    const normalizedPath = normalizeFilePath(filePath);
+    if (!normalizedPath) {
+      return res.status(400).json({
+        success: false,
+        error: "filePath must be a relative path inside the project"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const previous = await db.getProjectFile(projectId, normalizedPath, userId);
+    const file = await db.saveProjectFile(
+      projectId,
+      normalizedPath,
+      fileName,
+      content,
+      fileType,
+      { authorId: userId, source: "manual" }
+    );
+
+    await req.audit({
+      action: "file.save",
+      targetType: "file",
+      targetId: normalizedPath,
+      projectId,
+      changes: {
+        before: auditService.summarizeFile(previous),
+        after: auditService.summarizeFile(file, content)
+      }
+    });
+
+    res.json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    logger.error("Save file error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save file"
+    });
+  }
+});
+
+// Get a page of project files, sorted by path unless ?sort= says otherwise.
+// Supports fileType, path (prefix) and updatedSince filters, and
+// ?fields=metadata to leave out file contents.
+router.get("/:id/files", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const { errors, options } = validateFileListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const { items, nextCursor } = await db.getProjectFilePage(
+      projectId,
+      userId,
+      options
+    );
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      pagination: {
+        limit: options.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    logger.error("List files error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch files"
+    });
+  }
+});
+
+// Get specific file
+router.get("/:id/files/*", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const filePath = req.params[0]; // Everything after /files/
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const file = await db.getProjectFile(projectId, filePath, userId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: "File not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    logger.error("Get file error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch file"
+    });
+  }
+});
+
+// Download all project files as a zip or tar.gz archive. Adds a manifest
+// with project metadata unless manifest=false, and the conversation history
+// when history=true.
+router.get("/:id/export", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { format = "zip", manifest = "true", history = "false" } = req.query;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const includeHistory = history === "true";
+    const [storedFiles, conversations] = await Promise.all([
+      db.getProjectFiles(projectId, userId),
+      includeHistory
+        ? db.getConversations(projectId, userId, null)
+        : Promise.resolve([])
+    ]);
+
+    // Never write entries that would extract outside the target directory
+    // (paths saved before they were normalized on save)
+    const files = storedFiles.flatMap((file) => {
+      const filePath = normalizeFilePath(file.file_path);
+      if (!filePath) {
+        logger.warn("Skipping file with unsafe path in export", {
+          projectId,
+          fileId: file.id
+        });
+        return [];
+      }
+      return [{ ...file, file_path: filePath }];
+    });
+
+    logger.info(
+      `Exporting project ${projectId} as ${format} (${files.length} files)`
+    );
+
+    const archive = createArchive(format);
+    archive.on("warning", (warning) => {
+      logger.warn("Export archive warning", { error: warning.message });
+    });
+    archive.on("error", (error) => {
+      logger.error("Export archive error", error);
+      res.destroy(error);
+    });
+    // Stop building the archive if the client goes away
+    res.on("close", () => {
+      if (!res.writableFinished) archive.abort();
+    });
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${archiveFileName(project.name, format)}"`
+    );
+    archive.pipe(res);
+
+    files.forEach((file) => {
+      archive.append(file.content || "", {
+        name: file.file_path,
+        date: file.updated_at ? new Date(file.updated_at) : new Date()
+      });
+    });
+
+    if (manifest !== "false") {
+      const manifestData = {
+        project: {
+          id: project.id,
+          name: project.name,
+          description: project.description,
+          template: project.template_used,
+          settings: project.settings,
+          createdAt: project.created_at,
+          updatedAt: project.updated_at
+        },
+        files: files.map((file) => ({
+          path: file.file_path,
+          type: file.file_type,
+          sizeBytes: file.size_bytes
+        })),
+        includesHistory: includeHistory,
+        exportedAt: new Date().toISOString()
+      };
+      archive.append(JSON.stringify(manifestData, null, 2), {
+        name: `${METADATA_DIR}/manifest.json`
+      });
+    }
+
+    if (includeHistory) {
+      const historyData = conversations.map((conversation) => ({
+        id: conversation.id,
+        message: conversation.message,
+        response: conversation.response,
+        model: conversation.ai_model,
+        tokensUsed: conversation.tokens_used,
+        createdAt: conversation.created_at
+      }));
+      archive.append(JSON.stringify(historyData, null, 2), {
+        name: `${METADATA_DIR}/conversations.json`
+      });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    logger.error("Export project error", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: "Failed to export project"
+    });
+  }
+});
+
+// Fork a project into a new one owned by the caller, copying its files and,
+// with includeHistory, its conversations. Any member can fork.
+router.post("/:id/fork", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { name, description, includeHistory = false } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Forking project ${projectId} for user: ${userId}`);
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const validationErrors =
+      name !== undefined ? validateProjectData({ name, description }) : [];
+    if (name === undefined && description && typeof description !== "string") {
+      validationErrors.push("Description must be a string");
+    }
+    if (typeof includeHistory !== "boolean") {
+      validationErrors.push("includeHistory must be a boolean");
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const fork = await db.forkProject(projectId, userId, {
+      name: name?.trim() || `${project.name} (fork)`.slice(0, 255),
+      description: description?.trim() || null,
+      includeHistory
+    });
+
+    // The source was deleted or the caller removed in the meantime
+    if (!fork) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    logger.info(
+      `Project ${projectId} forked to ${fork.id} (${fork.fileCount} files, ${fork.conversationCount} conversations)`
+    );
+
+    const { fileCount, conversationCount, ...forkedProject } = fork;
+    await req.audit({
+      action: "project.fork",
+      targetType: "project",
+      targetId: fork.id,
+      projectId: fork.id,
+      changes: { after: { name: fork.name, forkedFrom: projectId } },
+      metadata: { fileCount, conversationCount, includeHistory }
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        project: forkedProject,
+        stats: { fileCount, conversationCount }
+      }
+    });
+  } catch (error) {
+    logger.error("Fork project error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fork project"
+    });
+  }
+});
+
+// Save a project's current files as a new template. The template is private
+// to the caller unless an admin sets shared: true.
+router.post("/:id/template", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const shared = req.body.shared === true;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    if (shared && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "Admin access required to share templates"
+      });
+    }
+
+    const validationErrors = templateService.validateTemplate(req.body, {
+      withFiles: false
+    });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const files = await db.getProjectFiles(projectId, userId);
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Project has no files to save as a template"
+      });
+    }
+
+    const template = await templateService.createTemplate(
+      {
+        ...req.body,
+        files: files.map((file) => ({
+          path: file.file_path,
+          content: file.content
+        }))
+      },
+      {
+        ownerId: shared ? null : userId,
+        createdBy: userId,
+        sourceProjectId: projectId
+      }
+    );
+
+    logger.info(`Template ${template.id} saved from project ${projectId}`);
+    await req.audit({
+      action: "template.create",
+      targetType: "template",
+      targetId: template.id,
+      projectId,
+      changes: { after: { name: template.name, shared } },
+      metadata: { fileCount: template.fileCount }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    // Unique violation on the template id
+    if (error.code === "23505") {
+      return res.status(409).json({
+        success: false,
+        error: "A template with this id already exists"
+      });
+    }
+
+    logger.error("Save project as template error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save project as template"
+    });
+  }
+});
+
+// Read the uploaded archive, responding with an error and returning null if
+// the upload is missing or invalid
+const readUploadedArchive = async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({
+      success: false,
+      error:
+        "Upload a zip or tar.gz archive as the request body (Content-Type: application/zip or application/gzip)"
+    });
+    return null;
+  }
+
+  try {
+    return await readArchiveFiles(req.body, IMPORT_LIMITS);
+  } catch (error) {
+    if (!error.status) throw error;
+    res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+// Save imported files into a project. Existing files are replaced only when
+// overwrite is set. Returns the imported and skipped file lists for the report.
+const saveImportedFiles = async (
+  tx,
+  projectId,
+  userId,
+  files,
+  existingPaths,
+  overwrite
+) => {
+  const imported = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const exists = existingPaths.has(file.path);
+    if (exists && !overwrite) {
+      skipped.push({ path: file.path, reason: "already exists" });
+      continue;
+    }
+
+    const fileType = detectFileType(file.path);
+    await tx.saveProjectFile(
+      projectId,
+      file.path,
+      path.posix.basename(file.path),
+      file.content,
+      fileType,
+      { authorId: userId, source: "import" }
+    );
+    imported.push({
+      path: file.path,
+      fileType,
+      sizeBytes: Buffer.byteLength(file.content, "utf8"),
+      action: exists ? "updated" : "created"
+    });
+  }
+
+  return { imported, skipped };
+};
+
+// Create a new project from an uploaded zip or tar.gz archive. The name and
+// description come from the query string, falling back to the manifest of a
+// project exported from here.
+router.post("/import", archiveUpload, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const archive = await readUploadedArchive(req, res);
+    if (!archive) return;
+
+    const projectData = {
+      name: req.query.name || archive.manifest?.project?.name,
+      description:
+        req.query.description ?? archive.manifest?.project?.description
+    };
+    const validationErrors = validateProjectData(projectData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    logger.info(`Importing ${archive.format} archive for user: ${userId}`, {
+      files: archive.files.length,
+      skipped: archive.skipped.length
+    });
+
+    const { project, imported } = await db.transaction(async (tx) => {
+      const project = await tx.createProject(
+        userId,
+        projectData.name.trim(),
+        projectData.description?.trim() || ""
+      );
+      const { imported } = await saveImportedFiles(
+        tx,
+        project.id,
+        userId,
+        archive.files,
+        new Set(),
+        false
+      );
+      return { project, imported };
+    });
+
+    logger.info(`Project ${project.id} imported with ${imported.length} files`);
+    await req.audit({
+      action: "project.import",
+      targetType: "project",
+      targetId: project.id,
+      projectId: project.id,
+      changes: { after: { name: project.name, files: imported } },
+      metadata: { format: archive.format, skipped: archive.skipped.length }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        project,
+        report: {
+          format: archive.format,
+          imported,
+          skipped: archive.skipped
+        }
+      }
+    });
+  } catch (error) {
+    logger.error("Import project error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import project"
+    });
+  }
+});
+
+// Merge an uploaded zip or tar.gz archive into an existing project. Files
+// that already exist are skipped unless overwrite=true.
+router.post("/:id/import", archiveUpload, async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const overwrite = req.query.overwrite === "true";
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const archive = await readUploadedArchive(req, res);
+    if (!archive) return;
+
+    logger.info(`Merging ${archive.format} archive into ${projectId}`, {
+      files: archive.files.length,
+      skipped: archive.skipped.length,
+      overwrite
+    });
+
+    const { imported, skipped } = await db.transaction(async (tx) => {
+      const existingFiles = await tx.getProjectFiles(projectId, userId);
+      return saveImportedFiles(
+        tx,
+        projectId,
+        userId,
+        archive.files,
+        new Set(existingFiles.map((file) => file.file_path)),
+        overwrite
+      );
+    });
+
+    logger.info(`Imported ${imported.length} files into project ${projectId}`);
+    await req.audit({
+      action: "file.import",
+      targetType: "project",
+      targetId: projectId,
+      projectId,
+      changes: { after: { files: imported } },
+      metadata: {
+        format: archive.format,
+        overwrite,
+        skipped: archive.skipped.length + skipped.length
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        projectId,
+        report: {
+          format: archive.format,
+          overwrite,
+          imported,
+          skipped: [...archive.skipped, ...skipped]
+        }
+      }
+    });
+  } catch (error) {
+    logger.error("Import into project error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import files"
+    });
+  }
+});
+
+// Delete file from project
+router.delete("/:id/files", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { filePath } = req.body;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        error: "filePath is required"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const deletedFile = await db.deleteProjectFile(
+      projectId,
+      filePath,
+      userId,
+      {
+        source: "manual"
+      }
+    );
+
+    if (!deletedFile) {
+      return res.status(404).json({
+        success: false,
+        error: "File not found"
+      });
+    }
+
+    await req.audit({
+      action: "file.delete",
+      targetType: "file",
+      targetId: filePath,
+      projectId,
+      changes: { before: auditService.summarizeFile(deletedFile), after: null }
+    });
+
+    res.json({
+      success: true,
+      message: "File deleted successfully",
+      data: deletedFile
+    });
+  } catch (error) {
+    logger.error("Delete file error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete file"
+    });
+  }
+});
+
+// List revisions of a file (metadata only, newest first)
+router.get("/:id/revisions", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { path: filePath } = req.query;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    if (!filePath || typeof filePath !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "path query parameter is required"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const revisions = await db.getFileRevisions(projectId, filePath, userId);
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+      filePath
+    });
+  } catch (error) {
+    logger.error("Get revisions error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch revisions"
+    });
+  }
+});
+
+// Unified diff between two revisions of the same file
+router.get("/:id/revisions/diff", async (req, res) => {
+  try {
+    const { id: projectId } = req.params;
+    const { from, to } = req.query;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+    if (!uuidRegex.test(from || "") || !uuidRegex.test(to || "")) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be valid revision IDs"
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      db.getFileRevision(from, projectId, userId),
+      db.getFileRevision(to, projectId, userId)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found"
+      });
+    }
+
+    if (fromRevision.file_path !== toRevision.file_path) {
+      return res.status(400).json({
+        success: false,
+        error: "Revisions belong to different files"
+      });
+    }
+
+    const diff = createTwoFilesPatch(
+      fromRevision.file_path,
+      toRevision.file_path,
+      fromRevision.content || "",
+      toRevision.content || "",
+      `revision ${fromRevision.revision_number}`,
+      `revision ${toRevision.revision_number}`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        filePath: fromRevision.file_path,
+        from: fromRevision.revision_number,
+        to: toRevision.revision_number,
+        diff
+      }
+    });
+  } catch (error) {
+    logger.error("Diff revisions error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to diff revisions"
+    });
+  }
+});
+
+// Get a specific revision with its content
+router.get("/:id/revisions/:revisionId", async (req, res) => {
+  try {
+    const { id: projectId, revisionId } = req.params;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId) || !uuidRegex.test(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or revision ID format"
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const revision = await db.getFileRevision(revisionId, projectId, userId);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    logger.error("Get revision error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch revision"
+    });
+  }
+});
+
+// Restore an older revision as the current file content
+router.post("/:id/revisions/:revisionId/restore", async (req, res) => {
+  try {
+    const { id: projectId, revisionId } = req.params;
+    const userId = req.user.id;
+
+    logger.info(`Restoring revision ${revisionId} in project ${projectId}`);
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId) || !uuidRegex.test(revisionId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or revision ID format"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const revision = await db.getFileRevision(revisionId, projectId, userId);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found"
+      });
+    }
+
+    if (revision.action === "delete") {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot restore a delete revision; restore an earlier revision"
+      });
+    }
+
+    const previous = await db.getProjectFile(
+      projectId,
+      revision.file_path,
+      userId
+    );
+    const file = await db.saveProjectFile(
+      projectId,
+      revision.file_path,
+      path.posix.basename(revision.file_path),
+      revision.content,
+      detectFileType(revision.file_path),
+      { authorId: userId, source: "restore" }
+    );
+
+    await req.audit({
+      action: "file.restore",
+      targetType: "file",
+      targetId: revision.file_path,
+      projectId,
+      changes: {
+        before: auditService.summarizeFile(previous),
+        after: auditService.summarizeFile(file, revision.content)
+      },
+      metadata: {
+        revisionId,
+        revisionNumber: revision.revision_number
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revision.revision_number}`,
+      data: file
+    });
+  } catch (error) {
+    logger.error("Restore revision error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore revision"
+    });
+  }
+});
+
+// Get a changeset proposed by the AI
+router.get("/:id/changesets/:changesetId", async (req, res) => {
+  try {
+    const { id: projectId, changesetId } = req.params;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId) || !uuidRegex.test(changesetId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or changeset ID format"
+      });
+    }
+
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    const changeset = await db.getChangeset(changesetId, projectId, userId);
+
+    if (!changeset) {
+      return res.status(404).json({
+        success: false,
+        error: "Changeset not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: changeset
+    });
+  } catch (error) {
+    logger.error("Get changeset error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch changeset"
+    });
+  }
+});
+
+// Apply a pending changeset to the project files in one transaction
+router.post("/:id/changesets/:changesetId/apply", async (req, res) => {
+  try {
+    const { id: projectId, changesetId } = req.params;
+    const userId = req.user.id;
+
+    logger.info(`Applying changeset ${changesetId} to project ${projectId}`);
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId) || !uuidRegex.test(changesetId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or changeset ID format"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const outcome = await db.transaction(async (tx) => {
+      const changeset = await tx.lockPendingChangeset(changesetId, projectId);
+      if (!changeset) {
+        const existing = await tx.getChangeset(changesetId, projectId, userId);
+        return existing
+          ? {
+              status: 409,
+              error: `Changeset has already been ${existing.status}`
+            }
+          : { status: 404, error: "Changeset not found" };
+      }
+
+      // Files may have changed since the changeset was proposed
+      const currentFiles = await tx.getProjectFiles(projectId, userId);
+      const { operations, errors } = validateOperations(
+        changeset.operations,
+        currentFiles.map((file) => file.file_path)
+      );
+      if (errors.length > 0) {
+        return {
+          status: 409,
+          error: "Changeset conflicts with the current project files",
+          details: errors
+        };
+      }
+
+      const revision = {
+        authorId: userId,
+        source: "conversation",
+        conversationId: changeset.conversation_id
+      };
+      const saved = [];
+      const deleted = [];
+      for (const operation of operations) {
+        if (operation.action === "delete") {
+          deleted.push(
+            await tx.deleteProjectFile(
+              projectId,
+              operation.path,
+              userId,
+              revision
+            )
+          );
+        } else {
+          saved.push(
+            await tx.saveProjectFile(
+              projectId,
+              operation.path,
+              path.posix.basename(operation.path),
+              operation.content,
+              detectFileType(operation.path),
+              revision
+            )
+          );
+        }
+      }
+
+      const applied = await tx.updateChangesetStatus(changesetId, "applied");
+      return { changeset: applied, saved, deleted, operations, currentFiles };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        success: false,
+        error: outcome.error,
+        ...(outcome.details && { details: outcome.details })
+      });
+    }
+
+    logger.info(
+      `Changeset ${changesetId} applied: ${outcome.saved.length} saved, ${outcome.deleted.length} deleted`
+    );
+    await req.audit({
+      action: "changeset.apply",
+      targetType: "changeset",
+      targetId: changesetId,
+      projectId,
+      changes: {
+        files: outcome.operations.map((operation) => ({
+          action: operation.action,
+          before: auditService.summarizeFile(
+            outcome.currentFiles.find(
+              (file) => file.file_path === operation.path
+            )
+          ),
+          after:
+            operation.action === "delete"
+              ? null
+              : auditService.summarizeFile(
+                  { file_path: operation.path },
+                  operation.content
+                )
+        }))
+      },
+      metadata: { conversationId: outcome.changeset.conversation_id }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        changeset: outcome.changeset,
+        savedFiles: outcome.saved,
+        deletedFiles: outcome.deleted
+      }
+    });
+  } catch (error) {
+    logger.error("Apply changeset error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to apply changeset"
+    });
+  }
+});
+
+// Discard a pending changeset without applying it
+router.post("/:id/changesets/:changesetId/discard", async (req, res) => {
+  try {
+    const { id: projectId, changesetId } = req.params;
+    const userId = req.user.id;
+
+    // Validate UUID format
+    const uuidRegex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(projectId) || !uuidRegex.test(changesetId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project or changeset ID format"
+      });
+    }
+
+    // Verify project access
+    const project = await db.getProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found"
+      });
+    }
+
+    if (!hasRole(project.role, "editor")) {
+      return res.status(403).json({
+        success: false,
+        error: "Editor access required"
+      });
+    }
+
+    const changeset = await db.getChangeset(changesetId, projectId, userId);
+    if (!changeset) {
+      return res.status(404).json({
+        success: false,
+        error: "Changeset not found"
+      });
+    }
+
+    if (changeset.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        error: `Changeset has already been ${changeset.status}`
+      });
+    }
+
+    // Applied or discarded by another request since it was read
+    const discarded = await db.updateChangesetStatus(changesetId, "discarded");
+    if (!discarded) {
+      const current = await db.getChangeset(changesetId, projectId, userId);
+      return res.status(409).json({
+        success: false,
+        error: `Changeset has already been ${current?.status || "removed"}`
+      });
+    }
+    await req.audit({
+      action: "changeset.discard",
+      targetType: "changeset",
+      targetId: changesetId,
+      projectId,
+      changes: {
+        before: { status: changeset.status },
+        after: { status: "discarded" }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Changeset discarded",
+      data: discarded
+    });
+  } catch (error) {
+    logger.error("Discard changeset error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to discard changeset"
+    });
+  }
+});
 
 module.exports = router;
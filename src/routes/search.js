@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const searchService = require("../services/search");
+const logger = require("../utils/logger");
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 50;
+
+// Validate search query parameters. Returns { errors, options }.
+const validateSearchQuery = (query) => {
+  const errors = [];
+  const options = {};
+
+  if (!query.q || typeof query.q !== "string" || query.q.trim().length === 0) {
+    errors.push("q is required");
+  } else if (query.q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (query.types !== undefined) {
+    const scopes = String(query.types)
+      .split(",")
+      .map((scope) => scope.trim())
+      .filter(Boolean);
+    const unknown = scopes.filter(
+      (scope) => !searchService.getScopes().includes(scope)
+    );
+    if (scopes.length === 0 || unknown.length > 0) {
+      errors.push(
+        `types must be a comma separated list of: ${searchService
+          .getScopes()
+          .join(", ")}`
+      );
+    }
+    options.scopes = scopes;
+  }
+
+  const uuidRegex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (query.projectId !== undefined) {
+    if (!uuidRegex.test(query.projectId)) {
+      errors.push("Invalid project ID format");
+    }
+    options.projectId = query.projectId;
+  }
+
+  if (query.fileType !== undefined) {
+    if (typeof query.fileType !== "string" || query.fileType.length > 50) {
+      errors.push("fileType must be a string");
+    }
+    options.fileType = query.fileType;
+  }
+
+  ["from", "to"].forEach((field) => {
+    if (query[field] === undefined) return;
+    const date = new Date(query[field]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${field} must be a valid ISO date`);
+    }
+    options[field] = date;
+  });
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    options.limit = limit;
+  }
+
+  return { errors, options };
+};
+
+// Full-text search over project names and descriptions, file paths and
+// contents, and conversation messages and responses. Results are grouped by
+// type and ranked; snippets and matching lines are HTML-escaped with matches
+// wrapped in <mark>.
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { errors, options } = validateSearchQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const query = req.query.q.trim();
+    // The search text can hold anything, so only its length is logged
+    logger.info(`Searching for user: ${userId}`, {
+      queryLength: query.length,
+      ...options
+    });
+
+    const results = await searchService.search(userId, query, options);
+
+    res.json({
+      success: true,
+      data: {
+        query,
+        results,
+        counts: Object.fromEntries(
+          Object.entries(results).map(([scope, hits]) => [scope, hits.length])
+        )
+      }
+    });
+  } catch (error) {
+    logger.error("Search error", error);
+    res.status(500).json({
+      success: false,
+      error: "Search failed"
+    });
+  }
+});
+
+module.exports = router;
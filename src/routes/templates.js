@@ -0,0 +1,129 @@
+const express = require("express");
+const router = express.Router();
+const templateService = require("../services/templates");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+// List built-in, shared and the caller's own templates (metadata only)
+router.get("/", async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates(req.user.id);
+
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    logger.error("List templates error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch templates"
+    });
+  }
+});
+
+// Get a template with its files
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(
+      req.params.id,
+      req.user.id
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: "Template not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error("Get template error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch template"
+    });
+  }
+});
+
+// Add a template shared with every user (admin only)
+router.post("/", requireAdmin, async (req, res) => {
+  try {
+    const validationErrors = templateService.validateTemplate(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    const template = await templateService.createTemplate(req.body, {
+      createdBy: req.user.id
+    });
+
+    logger.info(`Template created: ${template.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    // Unique violation on the template id
+    if (error.code === "23505") {
+      return res.status(409).json({
+        success: false,
+        error: "A template with this id already exists"
+      });
+    }
+
+    logger.error("Create template error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create template"
+    });
+  }
+});
+
+// Delete a stored template (admin only). Built-in templates can't be deleted.
+router.delete("/:id", requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (templateService.isBuiltIn(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Built-in templates cannot be deleted"
+      });
+    }
+
+    const deleted = await templateService.deleteTemplate(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Template not found"
+      });
+    }
+
+    logger.info(`Template deleted: ${id}`);
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+      data: deleted
+    });
+  } catch (error) {
+    logger.error("Delete template error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete template"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../services/database");
+const webhookService = require("../services/webhooks");
+const { hasRole } = require("../utils/roles");
+const { parsePageParams } = require("../utils/pagination");
+const logger = require("../utils/logger");
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Validate webhook fields. With partial, only the fields present are checked
+// (for updates).
+const validateWebhookData = async (data, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || data.url !== undefined) {
+    if (!data.url || typeof data.url !== "string") {
+      errors.push("url is required and must be a string");
+    } else if (data.url.length > 2000) {
+      errors.push("url must be at most 2000 characters");
+    } else {
+      const urlError = await webhookService.validateUrl(data.url);
+      if (urlError) errors.push(urlError);
+    }
+  }
+
+  if (!partial || data.events !== undefined) {
+    const events = webhookService.getEvents();
+    if (
+      !Array.isArray(data.events) ||
+      data.events.length === 0 ||
+      !data.events.every((event) => events.includes(event))
+    ) {
+      errors.push(`events must be a non-empty array of: ${events.join(", ")}`);
+    }
+  }
+
+  if (
+    data.description !== undefined &&
+    data.description !== null &&
+    typeof data.description !== "string"
+  ) {
+    errors.push("description must be a string");
+  }
+
+  if (data.active !== undefined && typeof data.active !== "boolean") {
+    errors.push("active must be a boolean");
+  }
+
+  return errors;
+};
+
+// Load the caller's webhook for :id, or send 400/404 and return undefined
+const loadWebhook = async (req, res) => {
+  if (!uuidRegex.test(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid webhook ID format"
+    });
+    return undefined;
+  }
+
+  const webhook = await db.getWebhook(req.params.id, req.user.id);
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      error: "Webhook not found"
+    });
+  }
+  return webhook;
+};
+
+// List the caller's webhooks (optionally for one project)
+router.get("/", async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    if (projectId !== undefined && !uuidRegex.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format"
+      });
+    }
+
+    const webhooks = await db.getWebhooks(req.user.id, { projectId });
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+      events: webhookService.getEvents()
+    });
+  } catch (error) {
+    logger.error("List webhooks error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhooks"
+    });
+  }
+});
+
+// Subscribe a URL to events of one project, or of every project the caller
+// owns when projectId is left out. Requires owner access to the project.
+// The signing secret is only returned here.
+router.post("/", async (req, res) => {
+  try {
+    const { url, events, projectId, description } = req.body;
+    const userId = req.user.id;
+
+    logger.info(`Creating webhook for user: ${userId}`, {
+      projectId,
+      events
+    });
+
+    const validationErrors = await validateWebhookData(req.body);
+    if (projectId !== undefined && !uuidRegex.test(projectId)) {
+      validationErrors.push("Invalid project ID format");
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    if (projectId) {
+      const project = await db.getProject(projectId, userId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: "Project not found"
+        });
+      }
+
+      if (!hasRole(project.role, "owner")) {
+        return res.status(403).json({
+          success: false,
+          error: "Owner access required"
+        });
+      }
+    }
+
+    const { secret, ...webhook } = await db.createWebhook({
+      userId,
+      projectId: projectId || null,
+      url,
+      secret: webhookService.generateSecret(),
+      events: [...new Set(events)],
+      description: description?.trim() || null
+    });
+
+    logger.info(`Webhook created: ${webhook.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhook, secret }
+    });
+  } catch (error) {
+    logger.error("Create webhook error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create webhook"
+    });
+  }
+});
+
+// Get a webhook
+router.get("/:id", async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    logger.error("Get webhook error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook"
+    });
+  }
+});
+
+// Update a webhook's url, events, description or active flag
+router.put("/:id", async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const allowedFields = ["url", "events", "description", "active"];
+    const updates = {};
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No valid fields to update"
+      });
+    }
+
+    const validationErrors = await validateWebhookData(updates, {
+      partial: true
+    });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors
+      });
+    }
+
+    if (updates.events) updates.events = [...new Set(updates.events)];
+    if (updates.description !== undefined) {
+      updates.description = updates.description?.trim() || null;
+    }
+
+    const updated = await db.updateWebhook(webhook.id, req.user.id, updates);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    logger.error("Update webhook error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook"
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete("/:id", async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const deleted = await db.deleteWebhook(webhook.id, req.user.id);
+
+    logger.info(`Webhook deleted: ${webhook.id}`);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully",
+      data: deleted
+    });
+  } catch (error) {
+    logger.error("Delete webhook error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook"
+    });
+  }
+});
+
+// Delivery log, newest first. Filters: status, event.
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const { errors, page } = parsePageParams(req.query);
+    const { status, event } = req.query;
+    if (
+      status !== undefined &&
+      !["pending", "succeeded", "failed"].includes(status)
+    ) {
+      errors.push("status must be one of: pending, succeeded, failed");
+    }
+    if (event !== undefined && !webhookService.getEvents().includes(event)) {
+      errors.push(
+        `event must be one of: ${webhookService.getEvents().join(", ")}`
+      );
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { items, nextCursor } = await db.getWebhookDeliveries(webhook.id, {
+      ...page,
+      status,
+      event
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      pagination: {
+        limit: page.limit,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    logger.error("List webhook deliveries error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch deliveries"
+    });
+  }
+});
+
+// Get one delivery with its payload and the receiver's last status code
+router.get("/:id/deliveries/:deliveryId", async (req, res) => {
+  try {
+    if (!uuidRegex.test(req.params.deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid delivery ID format"
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await db.getWebhookDelivery(
+      webhook.id,
+      req.params.deliveryId
+    );
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error("Get webhook delivery error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch delivery"
+    });
+  }
+});
+
+// Send a logged delivery's payload again as a new delivery
+router.post("/:id/deliveries/:deliveryId/replay", async (req, res) => {
+  try {
+    if (!uuidRegex.test(req.params.deliveryId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid delivery ID format"
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        success: false,
+        error: "Webhook is disabled"
+      });
+    }
+
+    const delivery = await db.replayWebhookDelivery(
+      webhook.id,
+      req.params.deliveryId
+    );
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found"
+      });
+    }
+
+    logger.info(`Delivery ${req.params.deliveryId} replayed as ${delivery.id}`);
+
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error("Replay webhook delivery error", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay delivery"
+    });
+  }
+});
+
+module.exports = router;
@@ -1,49 +1,223 @@
-const Anthropic = require("@anthropic-ai/sdk");
+const { createProvider } = require("./providers");
+const { estimateTokens } = require("../utils/context");
+const metrics = require("./metrics");
+const logger = require("../utils/logger");
+
+// Default max_tokens for each kind of request
+const OPERATION_MAX_TOKENS = {
+  message: 4000,
+  changes: 8000,
+  explain: 1500,
+  improve: 2000,
+  tests: 3000
+};
+
+// Tool the model is forced to call when returning structured file changes
+const FILE_CHANGES_TOOL = {
+  name: "propose_file_changes",
+  description:
+    "Propose the set of project files to create, update or delete to fulfil the user's request.",
+  input_schema: {
+    type: "object",
+    properties: {
+      summary: {
+        type: "string",
+        description: "One or two sentences describing the change"
+      },
+      operations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            action: {
+              type: "string",
+              enum: ["create", "update", "delete"]
+            },
+            path: {
+              type: "string",
+              description: "File path relative to the project root"
+            },
+            content: {
+              type: "string",
+              description:
+                "Complete file content (required for create and update)"
+            }
+          },
+          required: ["action", "path"]
+        }
+      }
+    },
+    required: ["summary", "operations"]
+  }
+};
 
 class AIService {
   constructor() {
-    if (!process.env.CLAUDE_API_KEY) {
-      console.warn(
-        "⚠️  CLAUDE_API_KEY not provided - AI features will be disabled"
+    // Provider is chosen by AI_PROVIDER (anthropic, openai-compatible, mock)
+    this.provider = createProvider();
+    this.model = this.provider.defaultModel;
+
+    // Models and limits clients may pick from per request or per project
+    this.allowedModels = process.env.AI_ALLOWED_MODELS
+      ? process.env.AI_ALLOWED_MODELS.split(",").map((model) => model.trim())
+      : this.provider.models || [this.model];
+    this.maxTokensLimit = parseInt(process.env.AI_MAX_TOKENS_LIMIT) || 8192;
+
+    if (!this.provider.isConfigured()) {
+      logger.warn(
+        `AI provider "${this.provider.name}" not configured - ${this.provider.configurationHint}`
       );
-      this.anthropic = null;
     } else {
-      this.anthropic = new Anthropic({
-        apiKey: process.env.CLAUDE_API_KEY
-      });
-      console.log("✅ Claude AI service initialized");
+      logger.info(
+        `AI service initialized (${this.provider.name}, ${this.model})`
+      );
     }
   }
 
   isConfigured() {
-    return !!this.anthropic;
+    return this.provider.isConfigured();
   }
 
-  async generateCode(prompt, projectContext = "", files = []) {
-    if (!this.anthropic) {
-      return {
-        success: false,
-        error:
-          "AI service not configured - please add CLAUDE_API_KEY environment variable"
-      };
+  notConfiguredError() {
+    return {
+      success: false,
+      error: `AI service not configured - ${this.provider.configurationHint}`
+    };
+  }
+
+  // Validate client-supplied { model, maxTokens, temperature }
+  validateParameters(params = {}) {
+    const errors = [];
+
+    if (
+      params.model !== undefined &&
+      !this.allowedModels.includes(params.model)
+    ) {
+      errors.push(`Model must be one of: ${this.allowedModels.join(", ")}`);
     }
 
-    try {
-      // Build context from existing files
-      let contextStr = "";
-      if (files && files.length > 0) {
-        contextStr = "\n\nExisting project files:\n";
-        files.forEach((file) => {
-          // Only include first 1000 characters of each file to avoid token limits
-          const content =
-            file.content.length > 1000
-              ? file.content.substring(0, 1000) + "\n... (truncated)"
-              : file.content;
-          contextStr += `\n--- ${file.file_path} ---\n${content}\n`;
-        });
+    if (
+      params.maxTokens !== undefined &&
+      (!Number.isInteger(params.maxTokens) ||
+        params.maxTokens < 1 ||
+        params.maxTokens > this.maxTokensLimit)
+    ) {
+      errors.push(
+        `maxTokens must be an integer between 1 and ${this.maxTokensLimit}`
+      );
+    }
+
+    if (
+      params.temperature !== undefined &&
+      (typeof params.temperature !== "number" ||
+        params.temperature < 0 ||
+        params.temperature > 1)
+    ) {
+      errors.push("temperature must be a number between 0 and 1");
+    }
+
+    return errors;
+  }
+
+  // Resolve the model and parameters for an operation. Later sources win
+  // (e.g. project settings, then the request body); invalid values in a
+  // source are ignored so stale project settings can't break requests.
+  resolveParameters(operation, ...sources) {
+    const resolved = {
+      model: this.model,
+      maxTokens: OPERATION_MAX_TOKENS[operation],
+      temperature: null
+    };
+
+    sources.forEach((source) => {
+      ["model", "maxTokens", "temperature"].forEach((key) => {
+        if (
+          source?.[key] !== undefined &&
+          this.validateParameters({ [key]: source[key] }).length === 0
+        ) {
+          resolved[key] = source[key];
+        }
+      });
+    });
+
+    return resolved;
+  }
+
+  formatUsage(usage) {
+    return {
+      input_tokens: usage.input_tokens,
+      output_tokens: usage.output_tokens,
+      total_tokens: usage.input_tokens + usage.output_tokens
+    };
+  }
+
+  // Concatenate the text blocks of a provider response
+  getText(result) {
+    return result.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  // Turn stored conversation rows (oldest first) into alternating user and
+  // assistant messages. The newest turns are kept until the token budget runs
+  // out; anything older is dropped.
+  buildConversationHistory(conversations = [], tokenBudget = 0) {
+    const messages = [];
+    const includedConversationIds = [];
+    let estimatedTokens = 0;
+
+    for (let i = conversations.length - 1; i >= 0; i--) {
+      const turn = conversations[i];
+      if (!turn.message || !turn.response) continue;
+
+      const turnTokens =
+        estimateTokens(turn.message) + estimateTokens(turn.response);
+      if (estimatedTokens + turnTokens > tokenBudget) break;
+
+      messages.unshift(
+        { role: "user", content: turn.message },
+        { role: "assistant", content: turn.response }
+      );
+      includedConversationIds.unshift(turn.id);
+      estimatedTokens += turnTokens;
+    }
+
+    return {
+      messages,
+      manifest: {
+        includedConversationIds,
+        droppedCount: conversations.length - includedConversationIds.length,
+        estimatedTokens,
+        tokenBudget
       }
+    };
+  }
 
-      const systemPrompt = `You are an expert full-stack developer helping to build modern web applications. You have expertise in:
+  // Build the system and user prompts shared by generateCode and streamCode
+  // Pass structured = true to ask for file operations instead of a code blob.
+  buildCodePrompts(
+    prompt,
+    projectContext = "",
+    files = [],
+    structured = false
+  ) {
+    // Build context from existing files. These are expected to be packed to
+    // a token budget already (see buildFileContext), so nothing is cut here.
+    let contextStr = "";
+    if (files && files.length > 0) {
+      contextStr = "\n\nExisting project files:\n";
+      files.forEach((file) => {
+        const lines = file.ranges
+          ? ` (lines ${file.ranges
+              .map((range) => `${range.startLine}-${range.endLine}`)
+              .join(", ")})`
+          : "";
+        contextStr += `\n--- ${file.file_path}${lines} ---\n${file.content}\n`;
+      });
+    }
+
+    const systemPrompt = `You are an expert full-stack developer helping to build modern web applications. You have expertise in:
 
 - React/TypeScript with modern hooks and patterns
 - Node.js/Express.js backend development
@@ -63,9 +237,9 @@ When generating code:
 
 Always provide complete, functional code that can be used immediately.`;
 
-      const userPrompt = `${
-        projectContext ? `Project Context: ${projectContext}\n\n` : ""
-      }${contextStr}
+    const userPrompt = `${
+      projectContext ? `Project Context: ${projectContext}\n\n` : ""
+    }${contextStr}
 
 User Request: ${prompt}
 
@@ -83,74 +257,301 @@ If creating backend code:
 - Use async/await
 - Add helpful logging
 
-If modifying existing code, please provide the complete updated file content.
+${
+  structured
+    ? `Use the ${FILE_CHANGES_TOOL.name} tool to return every file that needs to be created, updated or deleted. Paths are relative to the project root. For created and updated files, provide the complete file content, not a diff.`
+    : `If modifying existing code, please provide the complete updated file content.
+
+Respond with just the code, no explanations or markdown formatting unless specifically requested.`
+}`;
 
-Respond with just the code, no explanations or markdown formatting unless specifically requested.`;
+    return { systemPrompt, userPrompt };
+  }
 
-      const message = await this.anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 4000,
-        system: systemPrompt,
-        messages: [
-          {
-            role: "user",
-            content: userPrompt
-          }
-        ]
+  // Run a provider call, recording its latency and token usage, or its
+  // error status, under the given operation
+  async callProvider(operation, call, signal) {
+    const start = Date.now();
+    try {
+      const message = await call();
+      const durationMs = Date.now() - start;
+      metrics.observeAiCall(operation, durationMs, {
+        outcome: "success",
+        model: message.model,
+        usage: message.usage
+      });
+      logger.info("AI call completed", {
+        operation,
+        model: message.model,
+        durationMs,
+        inputTokens: message.usage?.input_tokens,
+        outputTokens: message.usage?.output_tokens
+      });
+      return message;
+    } catch (error) {
+      metrics.observeAiCall(operation, Date.now() - start, {
+        outcome: signal?.aborted ? "aborted" : "error",
+        status: error.status
       });
+      throw error;
+    }
+  }
+
+  // Providers don't report usage for a cancelled request, but the prompt was
+  // still sent: estimate it (and any text received) from the request
+  cancelledResult(request, parameters, receivedText = "") {
+    const promptText = [
+      request.system || "",
+      ...request.messages.map((turn) => turn.content)
+    ].join("\n");
+
+    return {
+      success: false,
+      aborted: true,
+      error: "Generation cancelled",
+      usage: this.formatUsage({
+        input_tokens: estimateTokens(promptText),
+        output_tokens: estimateTokens(receivedText)
+      }),
+      model: parameters.model
+    };
+  }
+
+  // Map provider API errors to user-facing messages
+  formatGenerationError(error) {
+    let errorMessage = error.message;
+    if (error.status === 401) {
+      errorMessage = `Invalid API key - please check the ${this.provider.name} provider configuration`;
+    } else if (error.status === 429) {
+      errorMessage = "Rate limit exceeded - please try again in a moment";
+    } else if (error.status === 400) {
+      errorMessage =
+        "Invalid request - the prompt might be too long or contain unsupported content";
+    }
 
-      const generatedCode = message.content[0].text;
+    return {
+      success: false,
+      error: errorMessage,
+      code: error.status || "UNKNOWN"
+    };
+  }
+
+  // options.history: prior turns from buildConversationHistory().messages
+  // options.parameters: resolved { model, maxTokens, temperature }
+  // options.signal: aborting it cancels the provider request
+  async generateCode(prompt, projectContext = "", files = [], options = {}) {
+    const {
+      signal,
+      history = [],
+      parameters = this.resolveParameters("message")
+    } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
+    }
+
+    const { systemPrompt, userPrompt } = this.buildCodePrompts(
+      prompt,
+      projectContext,
+      files
+    );
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      system: systemPrompt,
+      messages: [
+        ...history,
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ]
+    };
+
+    try {
+      const message = await this.callProvider(
+        "message",
+        () => this.provider.complete(request, { signal }),
+        signal
+      );
+
+      const generatedCode = this.getText(message);
 
       return {
         success: true,
         code: generatedCode,
-        usage: {
-          input_tokens: message.usage.input_tokens,
-          output_tokens: message.usage.output_tokens,
-          total_tokens: message.usage.input_tokens + message.usage.output_tokens
-        },
-        model: "claude-3-5-sonnet-20241022"
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
     } catch (error) {
-      console.error("❌ AI Generation Error:", error);
-
-      // Handle different types of errors
-      let errorMessage = error.message;
-      if (error.status === 401) {
-        errorMessage =
-          "Invalid API key - please check your CLAUDE_API_KEY environment variable";
-      } else if (error.status === 429) {
-        errorMessage = "Rate limit exceeded - please try again in a moment";
-      } else if (error.status === 400) {
-        errorMessage =
-          "Invalid request - the prompt might be too long or contain unsupported content";
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters);
+      }
+
+      logger.error("AI Generation Error", error);
+      return this.formatGenerationError(error);
+    }
+  }
+
+  // Same as generateCode, but returns { summary, operations } describing file
+  // changes instead of a code blob. Operations are not validated here.
+  async generateChanges(prompt, projectContext = "", files = [], options = {}) {
+    const {
+      signal,
+      history = [],
+      parameters = this.resolveParameters("changes")
+    } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
+    }
+
+    const { systemPrompt, userPrompt } = this.buildCodePrompts(
+      prompt,
+      projectContext,
+      files,
+      true
+    );
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      system: systemPrompt,
+      tools: [FILE_CHANGES_TOOL],
+      toolChoice: { type: "tool", name: FILE_CHANGES_TOOL.name },
+      messages: [
+        ...history,
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ]
+    };
+
+    try {
+      const message = await this.callProvider(
+        "changes",
+        () => this.provider.complete(request, { signal }),
+        signal
+      );
+
+      const toolUse = message.content.find(
+        (block) =>
+          block.type === "tool_use" && block.name === FILE_CHANGES_TOOL.name
+      );
+      if (!toolUse) {
+        return {
+          success: false,
+          error: "The model did not return any file changes",
+          code: "NO_CHANGES"
+        };
       }
 
       return {
-        success: false,
-        error: errorMessage,
-        code: error.status || "UNKNOWN"
+        success: true,
+        changes: {
+          summary: toolUse.input.summary || "",
+          operations: toolUse.input.operations || []
+        },
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
+    } catch (error) {
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters);
+      }
+
+      logger.error("AI Changes Error", error);
+      return this.formatGenerationError(error);
     }
   }
 
-  async explainCode(code, language = "javascript") {
-    if (!this.anthropic) {
+  // Same as generateCode, but calls onText with each chunk of text as it
+  // arrives. Aborting the signal stops generation on the provider's side.
+  async streamCode(prompt, projectContext = "", files = [], options = {}) {
+    const {
+      onText,
+      signal,
+      history = [],
+      parameters = this.resolveParameters("message")
+    } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
+    }
+
+    const { systemPrompt, userPrompt } = this.buildCodePrompts(
+      prompt,
+      projectContext,
+      files
+    );
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      system: systemPrompt,
+      messages: [
+        ...history,
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ]
+    };
+
+    // Kept so a cancelled stream can report the text it already received
+    let streamedText = "";
+
+    try {
+      const message = await this.callProvider(
+        "stream",
+        () =>
+          this.provider.stream(request, {
+            onText: (text) => {
+              streamedText += text;
+              if (onText) onText(text);
+            },
+            signal
+          }),
+        signal
+      );
+      const generatedCode = this.getText(message);
+
       return {
-        success: false,
-        error:
-          "AI service not configured - please add CLAUDE_API_KEY environment variable"
+        success: true,
+        code: generatedCode,
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
+    } catch (error) {
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters, streamedText);
+      }
+
+      logger.error("AI Streaming Error", error);
+      return this.formatGenerationError(error);
     }
+  }
 
-    try {
-      const message = await this.anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 1500,
-        messages: [
-          {
-            role: "user",
-            content: `Please explain this ${language} code in simple terms:
+  async explainCode(code, language = "javascript", options = {}) {
+    const { signal, parameters = this.resolveParameters("explain") } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
+    }
+
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      messages: [
+        {
+          role: "user",
+          content: `Please explain this ${language} code in simple terms:
 
 ${code}
 
@@ -162,21 +563,30 @@ Explain:
 5. Potential improvements or considerations
 
 Make it beginner-friendly but thorough.`
-          }
-        ]
-      });
+        }
+      ]
+    };
+
+    try {
+      const message = await this.callProvider(
+        "explain",
+        () => this.provider.complete(request, { signal }),
+        signal
+      );
 
       return {
         success: true,
-        explanation: message.content[0].text,
-        usage: {
-          input_tokens: message.usage.input_tokens,
-          output_tokens: message.usage.output_tokens,
-          total_tokens: message.usage.input_tokens + message.usage.output_tokens
-        }
+        explanation: this.getText(message),
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
     } catch (error) {
-      console.error("❌ AI Explanation Error:", error);
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters);
+      }
+
+      logger.error("AI Explanation Error", error);
       return {
         success: false,
         error: error.message
@@ -184,22 +594,21 @@ Make it beginner-friendly but thorough.`
     }
   }
 
-  async suggestImprovements(code, context = "") {
-    if (!this.anthropic) {
-      return {
-        success: false,
-        error: "AI service not configured"
-      };
+  async suggestImprovements(code, context = "", options = {}) {
+    const { signal, parameters = this.resolveParameters("improve") } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
     }
 
-    try {
-      const message = await this.anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 2000,
-        messages: [
-          {
-            role: "user",
-            content: `Please analyze this code and suggest improvements:
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      messages: [
+        {
+          role: "user",
+          content: `Please analyze this code and suggest improvements:
 
 ${context ? `Context: ${context}\n\n` : ""}${code}
 
@@ -212,21 +621,30 @@ Please provide:
 6. Error handling enhancements
 
 Format as a structured response with specific, actionable suggestions.`
-          }
-        ]
-      });
+        }
+      ]
+    };
+
+    try {
+      const message = await this.callProvider(
+        "improve",
+        () => this.provider.complete(request, { signal }),
+        signal
+      );
 
       return {
         success: true,
-        suggestions: message.content[0].text,
-        usage: {
-          input_tokens: message.usage.input_tokens,
-          output_tokens: message.usage.output_tokens,
-          total_tokens: message.usage.input_tokens + message.usage.output_tokens
-        }
+        suggestions: this.getText(message),
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
     } catch (error) {
-      console.error("❌ AI Suggestions Error:", error);
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters);
+      }
+
+      logger.error("AI Suggestions Error", error);
       return {
         success: false,
         error: error.message
@@ -234,22 +652,21 @@ Format as a structured response with specific, actionable suggestions.`
     }
   }
 
-  async generateTests(code, framework = "jest") {
-    if (!this.anthropic) {
-      return {
-        success: false,
-        error: "AI service not configured"
-      };
+  async generateTests(code, framework = "jest", options = {}) {
+    const { signal, parameters = this.resolveParameters("tests") } = options;
+
+    if (!this.isConfigured()) {
+      return this.notConfiguredError();
     }
 
-    try {
-      const message = await this.anthropic.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 3000,
-        messages: [
-          {
-            role: "user",
-            content: `Generate comprehensive tests for this code using ${framework}:
+    const request = {
+      model: parameters.model,
+      maxTokens: parameters.maxTokens,
+      temperature: parameters.temperature,
+      messages: [
+        {
+          role: "user",
+          content: `Generate comprehensive tests for this code using ${framework}:
 
 ${code}
 
@@ -262,21 +679,30 @@ Please include:
 6. Proper setup and teardown
 
 Provide complete, runnable test code.`
-          }
-        ]
-      });
+        }
+      ]
+    };
+
+    try {
+      const message = await this.callProvider(
+        "tests",
+        () => this.provider.complete(request, { signal }),
+        signal
+      );
 
       return {
         success: true,
-        tests: message.content[0].text,
-        usage: {
-          input_tokens: message.usage.input_tokens,
-          output_tokens: message.usage.output_tokens,
-          total_tokens: message.usage.input_tokens + message.usage.output_tokens
-        }
+        tests: this.getText(message),
+        usage: this.formatUsage(message.usage),
+        model: message.model,
+        parameters
       };
     } catch (error) {
-      console.error("❌ AI Test Generation Error:", error);
+      if (signal?.aborted) {
+        return this.cancelledResult(request, parameters);
+      }
+
+      logger.error("AI Test Generation Error", error);
       return {
         success: false,
         error: error.message
@@ -288,9 +714,13 @@ Provide complete, runnable test code.`
   getUsageStats() {
     return {
       configured: this.isConfigured(),
-      model: "claude-3-5-sonnet-20241022",
+      provider: this.provider.name,
+      model: this.model,
+      models: this.allowedModels,
+      maxTokensLimit: this.maxTokensLimit,
       features: [
         "Code generation",
+        "Structured file changes",
         "Code explanation",
         "Improvement suggestions",
         "Test generation"
@@ -0,0 +1,109 @@
+const db = require("./database");
+const logger = require("../utils/logger");
+
+// USD per million tokens. Override or extend with AI_MODEL_PRICING, e.g.
+// AI_MODEL_PRICING='{"my-model":{"input":1,"output":2}}'
+const DEFAULT_PRICING = {
+  "claude-3-5-sonnet-20241022": { input: 3, output: 15 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku-20241022": { input: 0.8, output: 4 },
+  "claude-3-opus-20240229": { input: 15, output: 75 }
+};
+
+const GROUPINGS = ["user", "project", "model", "operation", "day"];
+
+class AnalyticsService {
+  constructor() {
+    this.pricing = { ...DEFAULT_PRICING, ...this.loadPricingOverrides() };
+  }
+
+  loadPricingOverrides() {
+    if (!process.env.AI_MODEL_PRICING) return {};
+
+    try {
+      return JSON.parse(process.env.AI_MODEL_PRICING);
+    } catch (error) {
+      logger.warn("AI_MODEL_PRICING is not valid JSON - using defaults");
+      return {};
+    }
+  }
+
+  getGroupings() {
+    return GROUPINGS;
+  }
+
+  // Estimated USD cost of a usage row. Rows recorded before input/output
+  // tokens were tracked separately are priced at the input rate.
+  estimateCost(model, inputTokens, outputTokens, totalTokens) {
+    const price = this.pricing[model];
+    if (!price) return null;
+
+    const unsplitTokens = Math.max(totalTokens - inputTokens - outputTokens, 0);
+    const cost =
+      ((inputTokens + unsplitTokens) * price.input +
+        outputTokens * price.output) /
+      1000000;
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  // Usage grouped by one dimension, with per-model token counts and cost
+  async getUsage(groupBy, from, to, filters = {}) {
+    const rows = await db.getAiUsageBreakdown(groupBy, from, to, filters);
+    const groups = new Map();
+    const totals = {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      estimatedCost: 0,
+      unpricedModels: []
+    };
+
+    rows.forEach((row) => {
+      const cost = this.estimateCost(
+        row.model,
+        row.inputTokens,
+        row.outputTokens,
+        row.totalTokens
+      );
+
+      if (!groups.has(row.key)) {
+        groups.set(row.key, {
+          key: row.key,
+          requests: 0,
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTokens: 0,
+          estimatedCost: 0,
+          models: []
+        });
+      }
+
+      const group = groups.get(row.key);
+      [group, totals].forEach((target) => {
+        target.requests += row.requests;
+        target.inputTokens += row.inputTokens;
+        target.outputTokens += row.outputTokens;
+        target.totalTokens += row.totalTokens;
+        target.estimatedCost += cost || 0;
+      });
+      const { key, ...modelUsage } = row;
+      group.models.push({ ...modelUsage, estimatedCost: cost });
+
+      if (cost === null && !totals.unpricedModels.includes(row.model)) {
+        totals.unpricedModels.push(row.model);
+      }
+    });
+
+    const round = (value) => Math.round(value * 1000000) / 1000000;
+    return {
+      groups: [...groups.values()].map((group) => ({
+        ...group,
+        estimatedCost: round(group.estimatedCost)
+      })),
+      totals: { ...totals, estimatedCost: round(totals.estimatedCost) }
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const db = require("./database");
+const logger = require("../utils/logger");
+
+// Longest string kept as-is in a change summary; longer text is replaced by
+// its length and hash
+const MAX_INLINE_LENGTH = 200;
+
+class AuditService {
+  // Who made a request: user, client IP and request id
+  getActor(req) {
+    return {
+      id: req.user.id,
+      email: req.user.email || null,
+      ip: req.ip || null,
+      requestId: req.id || null
+    };
+  }
+
+  // A file's audit summary: path, size and a content hash, never the content
+  summarizeFile(file, content = file?.content) {
+    if (!file) return null;
+    return {
+      path: file.file_path,
+      sizeBytes:
+        content === undefined || content === null
+          ? file.size_bytes
+          : Buffer.byteLength(content, "utf8"),
+      ...(typeof content === "string" && {
+        sha256: crypto.createHash("sha256").update(content).digest("hex")
+      })
+    };
+  }
+
+  // Shorten long strings in a before/after summary
+  summarizeValue(value) {
+    if (typeof value === "string" && value.length > MAX_INLINE_LENGTH) {
+      return {
+        length: value.length,
+        sha256: crypto.createHash("sha256").update(value).digest("hex")
+      };
+    }
+    return value;
+  }
+
+  // { before, after } for the fields of updates that changed
+  diffFields(before, updates) {
+    const changes = { before: {}, after: {} };
+    Object.keys(updates).forEach((field) => {
+      if (JSON.stringify(before?.[field]) === JSON.stringify(updates[field])) {
+        return;
+      }
+      changes.before[field] = this.summarizeValue(before?.[field] ?? null);
+      changes.after[field] = this.summarizeValue(updates[field]);
+    });
+    return changes;
+  }
+
+  // Append an entry. Auditing never fails the action it records, so errors
+  // are logged and swallowed.
+  // entry: { action, targetType, targetId, projectId, changes, metadata }
+  async record(actor, entry) {
+    try {
+      await db.recordAudit({
+        actorId: actor.id,
+        actorEmail: actor.email,
+        ip: actor.ip,
+        requestId: actor.requestId,
+        ...entry,
+        targetId: entry.targetId == null ? null : String(entry.targetId)
+      });
+    } catch (error) {
+      logger.error("Failed to record audit entry", {
+        action: entry.action,
+        error
+      });
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,97 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+
+const ACCESS_TOKEN_TYPE = "access";
+const REFRESH_TOKEN_TYPE = "refresh";
+
+class AuthService {
+  constructor() {
+    // Validate required environment variables
+    this.validateConfig();
+
+    this.secret = process.env.JWT_SECRET;
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET || this.secret;
+    this.accessTokenTtl = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+    this.refreshTokenTtl = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
+    this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+  }
+
+  validateConfig() {
+    const secret = process.env.JWT_SECRET;
+
+    if (!secret) {
+      throw new Error("Missing required environment variables: JWT_SECRET");
+    }
+
+    if (secret.length < 32) {
+      throw new Error("JWT_SECRET must be at least 32 characters long");
+    }
+  }
+
+  // Passwords
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.saltRounds);
+  }
+
+  // Without a hash (unknown user) the password is still compared against a
+  // dummy hash of the same cost, so both cases take as long and response
+  // times don't reveal which emails are registered
+  async verifyPassword(password, passwordHash) {
+    if (!passwordHash) {
+      await bcrypt.compare(password, await this.getDummyHash());
+      return false;
+    }
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = bcrypt.hash("dummy-password", this.saltRounds);
+    }
+    return this.dummyHash;
+  }
+
+  // Tokens
+  issueTokens(user) {
+    const claims = { sub: user.id, email: user.email };
+
+    return {
+      accessToken: jwt.sign(
+        { ...claims, type: ACCESS_TOKEN_TYPE },
+        this.secret,
+        { expiresIn: this.accessTokenTtl }
+      ),
+      refreshToken: jwt.sign(
+        { ...claims, type: REFRESH_TOKEN_TYPE },
+        this.refreshSecret,
+        { expiresIn: this.refreshTokenTtl }
+      ),
+      tokenType: "Bearer",
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  verifyAccessToken(token) {
+    return this.verifyToken(token, this.secret, ACCESS_TOKEN_TYPE);
+  }
+
+  verifyRefreshToken(token) {
+    return this.verifyToken(token, this.refreshSecret, REFRESH_TOKEN_TYPE);
+  }
+
+  // Returns the decoded payload, or null if the token is invalid, expired
+  // or of the wrong type (e.g. a refresh token used as an access token)
+  verifyToken(token, secret, expectedType) {
+    try {
+      const payload = jwt.verify(token, secret);
+      if (payload.type !== expectedType || !payload.sub) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -1,4 +1,133 @@
 const { Pool } = require("pg");
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const migrator = require("../db/migrator");
+const cache = require("./redis");
+const metrics = require("./metrics");
+const { PROJECT_ROLES } = require("../utils/roles");
+const { encodeCursor, DEFAULT_PAGE_SIZE } = require("../utils/pagination");
+const logger = require("../utils/logger");
+
+// Cache keys for hot project reads
+const projectListKey = (userId) => `projects:user:${userId}`;
+const projectKey = (projectId) => `project:${projectId}`;
+
+// SQL condition: the user in userParam is a member of the project in
+// projectColumn with at least minimumRole
+const memberCondition = (projectColumn, userParam, minimumRole = "viewer") => {
+  const roles = PROJECT_ROLES.slice(PROJECT_ROLES.indexOf(minimumRole))
+    .map((role) => `'${role}'`)
+    .join(", ");
+  return `EXISTS (
+        SELECT 1 FROM project_members pm
+        WHERE pm.project_id = ${projectColumn} AND pm.user_id = ${userParam}
+        AND pm.role IN (${roles})
+      )`;
+};
+
+// Sortable columns for paged listings
+const PROJECT_SORT_COLUMNS = {
+  updated_at: "p.updated_at",
+  created_at: "p.created_at",
+  name: "p.name"
+};
+const FILE_SORT_COLUMNS = {
+  path: "pf.file_path",
+  updated_at: "pf.updated_at",
+  size: "pf.size_bytes"
+};
+
+// Everything in project_files except content
+const FILE_METADATA_COLUMNS = `pf.id, pf.project_id, pf.file_path, pf.file_name,
+  pf.file_type, pf.size_bytes, pf.created_at, pf.updated_at`;
+
+// Keyset condition continuing after cursor values [sortValue, id]
+const keysetCondition = (sortColumn, idColumn, order, values, after) => {
+  values.push(after[0], after[1]);
+  const operator = order === "asc" ? ">" : "<";
+  return `(${sortColumn}, ${idColumn}) ${operator} ($${values.length - 1}, $${values.length})`;
+};
+
+// Turn limit + 1 rows selected with a sort_key column into
+// { items, nextCursor }. sort_key is the sort column cast to text, so
+// timestamps keep their full precision in the cursor; sort names it.
+const toPage = (rows, limit, sort) => {
+  const items = rows.slice(0, limit).map(({ sort_key, ...row }) => row);
+  const last = rows[limit - 1];
+  return {
+    items,
+    nextCursor:
+      rows.length > limit ? encodeCursor(sort, last.sort_key, last.id) : null
+  };
+};
+
+// Everything in webhooks except the signing secret
+const WEBHOOK_COLUMNS = `w.id, w.user_id, w.project_id, w.url, w.events,
+  w.description, w.active, w.created_at, w.updated_at`;
+
+// Project fields sent in webhook payloads
+const eventProject = (project) => ({
+  id: project.id,
+  name: project.name,
+  description: project.description,
+  templateUsed: project.template_used,
+  forkedFrom: project.forked_from || null
+});
+
+// Revision fields sent with file events, so receivers can tell AI changes
+// from manual edits
+const eventRevision = (savedRevision, revision = {}) => ({
+  revisionNumber: savedRevision.revision_number,
+  source: revision.source || "manual",
+  authorId: revision.authorId || null,
+  conversationId: revision.conversationId || null
+});
+
+// Full-text search vectors. These must match the expression indexes in
+// db/migrations/010_search_indexes.sql exactly.
+const SEARCH_VECTORS = {
+  projects: `(
+    setweight(to_tsvector('english', p.name), 'A') ||
+    setweight(to_tsvector('english', coalesce(p.description, '')), 'B')
+  )`,
+  files: `(
+    setweight(to_tsvector('english', regexp_replace(pf.file_path, '[/._-]+', ' ', 'g')), 'A') ||
+    setweight(to_tsvector('english', left(pf.content, 250000)), 'B')
+  )`,
+  conversations: `(
+    setweight(to_tsvector('english', left(c.message, 250000)), 'A') ||
+    setweight(to_tsvector('english', left(coalesce(c.response, ''), 250000)), 'B')
+  )`
+};
+
+// What each search scope selects and how its filters apply. select gets the
+// placeholder holding the ts_headline options.
+const SEARCH_SCOPES = {
+  projects: {
+    select: (headlineOptions) => `p.id AS project_id, p.name AS project_name,
+      p.description, p.updated_at,
+      ts_headline('english', p.name || ': ' || coalesce(p.description, ''), query, ${headlineOptions}) AS snippet`,
+    from: "projects p",
+    dateColumn: "p.updated_at"
+  },
+  files: {
+    // Only the part of the content the search vector covers is returned,
+    // for finding matching lines
+    select: () => `pf.project_id, p.name AS project_name, pf.id, pf.file_path,
+      pf.file_type, pf.size_bytes, left(pf.content, 250000) AS content,
+      pf.updated_at`,
+    from: "project_files pf JOIN projects p ON p.id = pf.project_id",
+    dateColumn: "pf.updated_at",
+    fileTypeColumn: "pf.file_type"
+  },
+  conversations: {
+    select: (headlineOptions) => `c.project_id, p.name AS project_name, c.id,
+      c.user_id, c.created_at,
+      ts_headline('english', c.message || ' ' || left(coalesce(c.response, ''), 20000), query, ${headlineOptions}) AS snippet`,
+    from: "conversations c JOIN projects p ON p.id = c.project_id",
+    dateColumn: "c.created_at"
+  }
+};
 
 class DatabaseService {
   constructor() {
@@ -15,9 +144,27 @@ class DatabaseService {
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000
     });
+    metrics.trackPool(this.pool);
+
+    // Emits "webhooks:queued" once deliveries have been committed
+    this.events = new EventEmitter();
+
+    // Run pending migrations (if enabled), then test the connection
+    this.ready = this.initialize();
+  }
 
-    // Test connection on startup
-    this.testConnection();
+  async initialize() {
+    if (process.env.DB_MIGRATE_ON_STARTUP === "true") {
+      try {
+        const applied = await migrator.up(this.pool);
+        logger.info("Migrations complete", { applied: applied.length });
+      } catch (error) {
+        logger.error("Database migration failed", { error: error.message });
+        process.exit(1);
+      }
+    }
+
+    await this.testConnection();
   }
 
   validateConfig() {
@@ -34,58 +181,325 @@ class DatabaseService {
   async testConnection() {
     try {
       const client = await this.pool.connect();
-      console.log("✅ Database connected successfully");
+      logger.info("Database connected successfully");
       client.release();
     } catch (error) {
-      console.error("❌ Database connection failed:", error.message);
+      logger.error("Database connection failed", { error: error.message });
       process.exit(1);
     }
   }
 
   async query(text, params) {
+    return this.execute(this.pool, text, params);
+  }
+
+  async execute(executor, text, params) {
     const start = Date.now();
     try {
-      const res = await this.pool.query(text, params);
+      const res = await executor.query(text, params);
       const duration = Date.now() - start;
-      console.log("📊 Query executed", {
+      metrics.observeQuery(text, duration);
+      logger.debug("Query executed", {
         query: text.substring(0, 50) + (text.length > 50 ? "..." : ""),
-        duration: `${duration}ms`,
+        durationMs: duration,
         rows: res.rowCount
       });
       return res;
     } catch (error) {
-      console.error("❌ Database query error:", {
+      metrics.observeQuery(text, Date.now() - start, true);
+      // Parameters are left out: they can hold file contents and messages
+      logger.error("Database query error", {
         query: text.substring(0, 100),
         error: error.message,
-        params: params
+        code: error.code
       });
       throw error;
     }
   }
 
+  // Run callback inside a single transaction. The callback receives a
+  // transaction-scoped copy of this service, so the usual methods
+  // (saveProjectFile, deleteProjectFile, ...) can be called on it and will all
+  // go through the same client. Any error rolls the whole transaction back.
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    const committed = [];
+    const tx = Object.create(this);
+    tx.query = (text, params) => this.execute(client, text, params);
+    tx.transaction = (nestedCallback) => nestedCallback(tx);
+    tx.afterCommit = (hook) => committed.push(hook);
+
+    let result;
+    try {
+      await client.query("BEGIN");
+      result = await callback(tx);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The write is committed by now: a failing hook is logged, not thrown
+    for (const hook of committed) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error("After-commit hook failed", error);
+      }
+    }
+    return result;
+  }
+
+  // Run hook once the current transaction commits (immediately outside one)
+  async afterCommit(hook) {
+    return hook();
+  }
+
+  // Drop cached reads for a project and the project lists of its members
+  // (plus userIds, e.g. a member who was just removed)
+  async invalidateProjectCache(projectId, userIds = []) {
+    if (!cache.isConfigured()) return;
+
+    const memberIds = [...userIds];
+    if (projectId) {
+      const result = await this.query(
+        "SELECT user_id FROM project_members WHERE project_id = $1",
+        [projectId]
+      );
+      memberIds.push(...result.rows.map((row) => row.user_id));
+    }
+
+    const keys = [...new Set(memberIds)].map(projectListKey);
+    if (projectId) keys.push(projectKey(projectId));
+    return this.afterCommit(() => cache.del(...keys));
+  }
+
+  // Queue a delivery of event for every active webhook covering the project
+  // whose creator still owns it. Call it in the transaction of the write the
+  // event describes, so nothing is sent for rolled back writes.
+  async emitEvent(projectId, event, data) {
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      projectId,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+    const result = await this.query(
+      `
+      INSERT INTO webhook_deliveries (webhook_id, event, payload)
+      SELECT w.id, $2::text, $3
+      FROM webhooks w
+      WHERE w.active AND $2::text = ANY (w.events)
+      AND (w.project_id = $1 OR w.project_id IS NULL)
+      AND ${memberCondition("$1", "w.user_id", "owner")}
+    `,
+      [projectId, event, JSON.stringify(payload)]
+    );
+    if (result.rowCount > 0) {
+      await this.afterCommit(() => this.events.emit("webhooks:queued"));
+    }
+  }
+
+  // Bump a project's updated_at after one of its files or conversations changes
+  async touchProject(projectId) {
+    const result = await this.query(
+      "UPDATE projects SET updated_at = NOW() WHERE id = $1",
+      [projectId]
+    );
+    if (result.rowCount > 0) {
+      await this.invalidateProjectCache(projectId);
+    }
+  }
+
+  // Users
+  async createUser(email, passwordHash, name = null) {
+    const query = `
+      INSERT INTO users (email, password_hash, name)
+      VALUES ($1, $2, $3)
+      RETURNING id, email, name, created_at
+    `;
+    const result = await this.query(query, [email, passwordHash, name]);
+    return result.rows[0];
+  }
+
+  async getUserByEmail(email) {
+    const query = `
+      SELECT * FROM users
+      WHERE email = $1
+    `;
+    const result = await this.query(query, [email]);
+    return result.rows[0];
+  }
+
+  async getUserById(userId) {
+    const query = `
+      SELECT id, email, name, created_at FROM users
+      WHERE id = $1
+    `;
+    const result = await this.query(query, [userId]);
+    return result.rows[0];
+  }
+
   // Projects
+  // The creator becomes the project's first owner
   async createProject(userId, name, description, template = null) {
     const query = `
       INSERT INTO projects (user_id, name, description, template_used)
       VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
-    const result = await this.query(query, [
-      userId,
-      name,
-      description,
-      template
-    ]);
-    return result.rows[0];
+
+    return this.transaction(async (tx) => {
+      const result = await tx.query(query, [
+        userId,
+        name,
+        description,
+        template
+      ]);
+      const project = result.rows[0];
+      await tx.query(
+        "INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [project.id, userId]
+      );
+      await tx.emitEvent(project.id, "project.created", {
+        project: eventProject(project)
+      });
+      await tx.invalidateProjectCache(null, [userId]);
+      return { ...project, role: "owner" };
+    });
+  }
+
+  // Copy a project the user can read into a new project they own: the
+  // project row, every file (each starting its history with a "fork"
+  // revision) and, with includeHistory, the conversations. Returns the new
+  // project with fileCount and conversationCount, or undefined if the source
+  // isn't visible to the user.
+  async forkProject(sourceId, userId, { name, description, includeHistory }) {
+    return this.transaction(async (tx) => {
+      const result = await tx.query(
+        `
+        INSERT INTO projects (
+          user_id, name, description, template_used, settings, forked_from
+        )
+        SELECT $2, $3, COALESCE($4, description), template_used, settings, id
+        FROM projects
+        WHERE id = $1 AND status <> 'deleted'
+        AND ${memberCondition("projects.id", "$2")}
+        RETURNING *
+      `,
+        [sourceId, userId, name, description]
+      );
+      const project = result.rows[0];
+      if (!project) return undefined;
+
+      await tx.query(
+        "INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [project.id, userId]
+      );
+
+      const files = await tx.query(
+        `
+        INSERT INTO project_files (
+          project_id, file_path, file_name, content, file_type, size_bytes
+        )
+        SELECT $2, file_path, file_name, content, file_type, size_bytes
+        FROM project_files
+        WHERE project_id = $1
+      `,
+        [sourceId, project.id]
+      );
+      await tx.query(
+        `
+        INSERT INTO file_revisions (
+          project_id, file_path, revision_number, action, content, size_bytes,
+          author_id, source
+        )
+        SELECT project_id, file_path, 1, 'save', content, size_bytes, $2, 'fork'
+        FROM project_files
+        WHERE project_id = $1
+      `,
+        [project.id, userId]
+      );
+
+      await tx.emitEvent(project.id, "project.created", {
+        project: eventProject(project)
+      });
+
+      let conversationCount = 0;
+      if (includeHistory) {
+        const conversations = await tx.query(
+          `
+          INSERT INTO conversations (
+            project_id, user_id, message, response, ai_model, tokens_used,
+            ai_parameters, created_at
+          )
+          SELECT $2, user_id, message, response, ai_model, tokens_used,
+            ai_parameters, created_at
+          FROM conversations
+          WHERE project_id = $1
+        `,
+          [sourceId, project.id]
+        );
+        conversationCount = conversations.rowCount;
+      }
+
+      await tx.invalidateProjectCache(null, [userId]);
+      return {
+        ...project,
+        role: "owner",
+        fileCount: files.rowCount,
+        conversationCount
+      };
+    });
   }
 
-  async getProjects(userId) {
+  // One page of the projects the user is a member of, with their role in
+  // each. Returns { items, nextCursor }.
+  // options: { status, template, updatedSince, sort, order, limit, after }
+  async getProjects(userId, options = {}) {
+    const {
+      status = "active",
+      template,
+      updatedSince,
+      sort = "updated_at",
+      order = "desc",
+      limit = DEFAULT_PAGE_SIZE,
+      after
+    } = options;
+    const sortColumn = PROJECT_SORT_COLUMNS[sort];
+    if (!sortColumn) {
+      throw new Error(`Unsupported project sort: ${sort}`);
+    }
+
+    const conditions = ["p.status = $2"];
+    const values = [userId, status];
+    if (template) {
+      values.push(template);
+      conditions.push(`p.template_used = $${values.length}`);
+    }
+    if (updatedSince) {
+      values.push(updatedSince);
+      conditions.push(`p.updated_at >= $${values.length}`);
+    }
+    if (after) {
+      conditions.push(
+        keysetCondition(sortColumn, "p.id", order, values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const direction = order === "asc" ? "ASC" : "DESC";
     const query = `
-      SELECT p.*, 
+      SELECT p.*, pm.role,
         COALESCE(file_stats.file_count, 0) as file_count,
         COALESCE(conv_stats.conversation_count, 0) as conversation_count,
-        conv_stats.last_conversation
+        conv_stats.last_conversation,
+        ${sortColumn}::text AS sort_key
       FROM projects p
+      JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
       LEFT JOIN (
         SELECT project_id, COUNT(*) as file_count
         FROM project_files
@@ -96,20 +510,53 @@ class DatabaseService {
         FROM conversations
         GROUP BY project_id
       ) conv_stats ON p.id = conv_stats.project_id
-      WHERE p.user_id = $1 AND p.status = 'active'
-      ORDER BY p.updated_at DESC
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${sortColumn} ${direction}, p.id ${direction}
+      LIMIT $${values.length}
     `;
-    const result = await this.query(query, [userId]);
-    return result.rows;
+    const load = async () => {
+      const result = await this.query(query, values);
+      return toPage(result.rows, limit, sort);
+    };
+
+    // Only the default first page is cached
+    const isDefaultPage =
+      status === "active" &&
+      !template &&
+      !updatedSince &&
+      !after &&
+      sort === "updated_at" &&
+      order === "desc" &&
+      limit === DEFAULT_PAGE_SIZE;
+    return isDefaultPage ? cache.cached(projectListKey(userId), load) : load();
   }
 
+  // Returns the project with the user's role, or undefined if it doesn't
+  // exist, is in the trash or the user isn't a member
   async getProject(projectId, userId) {
     const query = `
-      SELECT * FROM projects 
-      WHERE id = $1 AND user_id = $2 AND status = 'active'
+      SELECT p.*, COALESCE(
+        (SELECT json_object_agg(pm.user_id, pm.role)
+          FROM project_members pm WHERE pm.project_id = p.id),
+        '{}'
+      ) as member_roles
+      FROM projects p
+      WHERE p.id = $1 AND p.status <> 'deleted'
     `;
-    const result = await this.query(query, [projectId, userId]);
-    return result.rows[0];
+
+    // Projects are cached with every member's role, so one entry
+    // serves all members
+    let row = await cache.getJSON(projectKey(projectId));
+    if (!row?.member_roles) {
+      const result = await this.query(query, [projectId]);
+      row = result.rows[0];
+      if (!row) return undefined;
+      await cache.setJSON(projectKey(projectId), row);
+    }
+
+    const { member_roles: memberRoles, ...project } = row;
+    const role = memberRoles[userId];
+    return role ? { ...project, role } : undefined;
   }
 
   async updateProject(projectId, userId, updates) {
@@ -131,61 +578,211 @@ class DatabaseService {
     const query = `
       UPDATE projects 
       SET ${fields.join(", ")}, updated_at = NOW()
-      WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
+      WHERE id = $${paramCount} AND status <> 'deleted'
+      AND ${memberCondition("projects.id", `$${paramCount + 1}`, "editor")}
       RETURNING *
     `;
 
     const result = await this.query(query, values);
+    if (result.rows[0]) {
+      await this.invalidateProjectCache(projectId);
+    }
     return result.rows[0];
   }
 
+  // Move the project to the trash
   async deleteProject(projectId, userId) {
     const query = `
       UPDATE projects 
-      SET status = 'deleted', updated_at = NOW()
-      WHERE id = $1 AND user_id = $2
+      SET status = 'deleted', deleted_at = NOW(), deleted_by = $2,
+        updated_at = NOW()
+      WHERE id = $1 AND status <> 'deleted'
+      AND ${memberCondition("projects.id", "$2", "owner")}
+      RETURNING *
+    `;
+    return this.transaction(async (tx) => {
+      const result = await tx.query(query, [projectId, userId]);
+      const project = result.rows[0];
+      if (project) {
+        await tx.emitEvent(projectId, "project.deleted", {
+          project: eventProject(project),
+          deletedBy: userId
+        });
+        await tx.invalidateProjectCache(projectId);
+      }
+      return project;
+    });
+  }
+
+  // One page of the trashed projects the user owns, most recently deleted
+  // first. Returns { items, nextCursor }.
+  async getDeletedProjects(userId, { limit = DEFAULT_PAGE_SIZE, after } = {}) {
+    const conditions = [
+      "p.status = 'deleted'",
+      memberCondition("p.id", "$1", "owner")
+    ];
+    const values = [userId];
+    if (after) {
+      conditions.push(
+        keysetCondition("p.deleted_at", "p.id", "desc", values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const query = `
+      SELECT p.*, p.deleted_at::text AS sort_key
+      FROM projects p
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY p.deleted_at DESC, p.id DESC
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    return toPage(result.rows, limit, "deleted_at");
+  }
+
+  // Take a project out of the trash. Returns undefined unless the project is
+  // in the trash and the user is an owner.
+  async restoreProject(projectId, userId) {
+    const query = `
+      UPDATE projects
+      SET status = 'active', deleted_at = NULL, deleted_by = NULL,
+        updated_at = NOW()
+      WHERE id = $1 AND status = 'deleted'
+      AND ${memberCondition("projects.id", "$2", "owner")}
       RETURNING *
     `;
     const result = await this.query(query, [projectId, userId]);
+    if (result.rows[0]) {
+      await this.invalidateProjectCache(projectId);
+    }
+    return result.rows[0];
+  }
+
+  // Permanently delete up to batchSize projects that have been in the trash
+  // for more than retentionDays. Files, conversations, members, revisions and
+  // changesets go with them (ON DELETE CASCADE). Returns the purged rows.
+  async purgeDeletedProjects(retentionDays, batchSize) {
+    const query = `
+      DELETE FROM projects
+      WHERE id IN (
+        SELECT id FROM projects
+        WHERE status = 'deleted'
+        AND deleted_at < NOW() - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, name, user_id, deleted_at
+    `;
+    const result = await this.query(query, [retentionDays, batchSize]);
+    return result.rows;
+  }
+
+  // Project members
+  async getProjectMembers(projectId) {
+    const query = `
+      SELECT pm.user_id, pm.role, pm.invited_by, pm.created_at, pm.updated_at,
+        u.email, u.name
+      FROM project_members pm
+      LEFT JOIN users u ON u.id::text = pm.user_id
+      WHERE pm.project_id = $1
+      ORDER BY pm.created_at
+    `;
+    const result = await this.query(query, [projectId]);
+    return result.rows;
+  }
+
+  // Add a member, or change the role of an existing one
+  async addProjectMember(projectId, userId, role, invitedBy) {
+    const query = `
+      INSERT INTO project_members (project_id, user_id, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (project_id, user_id)
+      DO UPDATE SET role = EXCLUDED.role, updated_at = NOW()
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      projectId,
+      userId,
+      role,
+      invitedBy
+    ]);
+    await this.invalidateProjectCache(projectId);
     return result.rows[0];
   }
 
+  async removeProjectMember(projectId, userId) {
+    const query = `
+      DELETE FROM project_members
+      WHERE project_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await this.query(query, [projectId, userId]);
+    if (result.rows[0]) {
+      await this.invalidateProjectCache(projectId, [userId]);
+    }
+    return result.rows[0];
+  }
+
+  // Lock the project's owner rows for the rest of the current transaction,
+  // so concurrent changes can't remove the last owner
+  async lockProjectOwners(projectId) {
+    const query = `
+      SELECT user_id FROM project_members
+      WHERE project_id = $1 AND role = 'owner'
+      FOR UPDATE
+    `;
+    const result = await this.query(query, [projectId]);
+    return result.rows.map((row) => row.user_id);
+  }
+
   // Conversations
   async saveConversation(
     projectId,
     userId,
     message,
     response,
-    aiModel = "claude-3-5-sonnet",
-    tokensUsed = 0
+    aiModel = null,
+    tokensUsed = 0,
+    aiParameters = null
   ) {
     const query = `
-      INSERT INTO conversations (project_id, user_id, message, response, ai_model, tokens_used)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO conversations (project_id, user_id, message, response, ai_model, tokens_used, ai_parameters)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
-    const result = await this.query(query, [
-      projectId,
-      userId,
-      message,
-      response,
-      aiModel,
-      tokensUsed
-    ]);
+    return this.transaction(async (tx) => {
+      const result = await tx.query(query, [
+        projectId,
+        userId,
+        message,
+        response,
+        aiModel,
+        tokensUsed,
+        aiParameters && JSON.stringify(aiParameters)
+      ]);
+      const conversation = result.rows[0];
 
-    // Update project's updated_at timestamp
-    await this.query("UPDATE projects SET updated_at = NOW() WHERE id = $1", [
-      projectId
-    ]);
+      await tx.emitEvent(projectId, "conversation.created", {
+        conversationId: conversation.id,
+        userId,
+        model: aiModel,
+        tokensUsed
+      });
 
-    return result.rows[0];
+      // Update project's updated_at timestamp
+      await tx.touchProject(projectId);
+
+      return conversation;
+    });
   }
 
+  // The latest conversations in chronological order. Pass limit = null to
+  // return every conversation.
   async getConversations(projectId, userId, limit = 50) {
     const query = `
       SELECT c.* FROM conversations c
-      JOIN projects p ON c.project_id = p.id
-      WHERE c.project_id = $1 AND p.user_id = $2
+      WHERE c.project_id = $1 AND ${memberCondition("c.project_id", "$2")}
       ORDER BY c.created_at DESC
       LIMIT $3
     `;
@@ -193,13 +790,63 @@ class DatabaseService {
     return result.rows.reverse(); // Return in chronological order
   }
 
+  // One page of a project's conversations. order "desc" (the default) pages
+  // back from the newest, "asc" forward from the oldest; items in each page
+  // are in chronological order either way. Returns { items, nextCursor }.
+  // options: { since, until, order, limit, after }
+  async getConversationPage(projectId, userId, options = {}) {
+    const {
+      since,
+      until,
+      order = "desc",
+      limit = DEFAULT_PAGE_SIZE,
+      after
+    } = options;
+
+    const conditions = [
+      "c.project_id = $1",
+      memberCondition("c.project_id", "$2")
+    ];
+    const values = [projectId, userId];
+    if (since) {
+      values.push(since);
+      conditions.push(`c.created_at >= $${values.length}`);
+    }
+    if (until) {
+      values.push(until);
+      conditions.push(`c.created_at < $${values.length}`);
+    }
+    if (after) {
+      conditions.push(
+        keysetCondition("c.created_at", "c.id", order, values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const direction = order === "asc" ? "ASC" : "DESC";
+    const query = `
+      SELECT c.*, c.created_at::text AS sort_key
+      FROM conversations c
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY c.created_at ${direction}, c.id ${direction}
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    const page = toPage(result.rows, limit, "created_at");
+    if (order !== "asc") page.items.reverse();
+    return page;
+  }
+
   // Project Files
+  // revision: { authorId, source, conversationId } recorded in file_revisions.
+  // source is "manual", "template", "conversation", "restore" or "import".
   async saveProjectFile(
     projectId,
     filePath,
     fileName,
     content,
-    fileType = "text"
+    fileType = "text",
+    revision = {}
   ) {
     const sizeBytes = Buffer.byteLength(content, "utf8");
     const query = `
@@ -214,58 +861,904 @@ class DatabaseService {
         updated_at = NOW()
       RETURNING *
     `;
-    const result = await this.query(query, [
-      projectId,
-      filePath,
-      fileName,
-      content,
-      fileType,
-      sizeBytes
-    ]);
 
-    // Update project timestamp
-    await this.query("UPDATE projects SET updated_at = NOW() WHERE id = $1", [
-      projectId
-    ]);
+    return this.transaction(async (tx) => {
+      const result = await tx.query(query, [
+        projectId,
+        filePath,
+        fileName,
+        content,
+        fileType,
+        sizeBytes
+      ]);
 
-    return result.rows[0];
+      const savedRevision = await tx.createFileRevision(
+        projectId,
+        filePath,
+        "save",
+        content,
+        revision
+      );
+      await tx.emitEvent(projectId, "file.saved", {
+        filePath,
+        fileType,
+        sizeBytes,
+        ...eventRevision(savedRevision, revision)
+      });
+
+      // Update project timestamp
+      await tx.touchProject(projectId);
+
+      return result.rows[0];
+    });
   }
 
-  async getProjectFiles(projectId, userId) {
+  // All files of a project. metadataOnly leaves out content.
+  async getProjectFiles(projectId, userId, { metadataOnly = false } = {}) {
     const query = `
-      SELECT pf.* FROM project_files pf
-      JOIN projects p ON pf.project_id = p.id
-      WHERE pf.project_id = $1 AND p.user_id = $2
+      SELECT ${metadataOnly ? FILE_METADATA_COLUMNS : "pf.*"}
+      FROM project_files pf
+      WHERE pf.project_id = $1 AND ${memberCondition("pf.project_id", "$2")}
       ORDER BY pf.file_path
     `;
     const result = await this.query(query, [projectId, userId]);
     return result.rows;
   }
 
+  // One page of a project's files. Returns { items, nextCursor }.
+  // options: { metadataOnly, fileType, pathPrefix, updatedSince, sort, order,
+  // limit, after }
+  async getProjectFilePage(projectId, userId, options = {}) {
+    const {
+      metadataOnly = false,
+      fileType,
+      pathPrefix,
+      updatedSince,
+      sort = "path",
+      order = "asc",
+      limit = DEFAULT_PAGE_SIZE,
+      after
+    } = options;
+    const sortColumn = FILE_SORT_COLUMNS[sort];
+    if (!sortColumn) {
+      throw new Error(`Unsupported file sort: ${sort}`);
+    }
+
+    const conditions = [
+      "pf.project_id = $1",
+      memberCondition("pf.project_id", "$2")
+    ];
+    const values = [projectId, userId];
+    if (fileType) {
+      values.push(fileType);
+      conditions.push(`pf.file_type = $${values.length}`);
+    }
+    if (pathPrefix) {
+      values.push(`${pathPrefix.replace(/[\\%_]/g, "\\$&")}%`);
+      conditions.push(`pf.file_path LIKE $${values.length}`);
+    }
+    if (updatedSince) {
+      values.push(updatedSince);
+      conditions.push(`pf.updated_at >= $${values.length}`);
+    }
+    if (after) {
+      conditions.push(
+        keysetCondition(sortColumn, "pf.id", order, values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const direction = order === "asc" ? "ASC" : "DESC";
+    const query = `
+      SELECT ${metadataOnly ? FILE_METADATA_COLUMNS : "pf.*"},
+        ${sortColumn}::text AS sort_key
+      FROM project_files pf
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${sortColumn} ${direction}, pf.id ${direction}
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    return toPage(result.rows, limit, sort);
+  }
+
   async getProjectFile(projectId, filePath, userId) {
     const query = `
       SELECT pf.* FROM project_files pf
-      JOIN projects p ON pf.project_id = p.id
-      WHERE pf.project_id = $1 AND pf.file_path = $2 AND p.user_id = $3
+      WHERE pf.project_id = $1 AND pf.file_path = $2
+      AND ${memberCondition("pf.project_id", "$3")}
     `;
     const result = await this.query(query, [projectId, filePath, userId]);
     return result.rows[0];
   }
 
-  async deleteProjectFile(projectId, filePath, userId) {
+  async deleteProjectFile(projectId, filePath, userId, revision = {}) {
     const query = `
       DELETE FROM project_files pf
-      USING projects p
-      WHERE pf.project_id = p.id 
-      AND pf.project_id = $1 
-      AND pf.file_path = $2 
-      AND p.user_id = $3
+      WHERE pf.project_id = $1
+      AND pf.file_path = $2
+      AND ${memberCondition("pf.project_id", "$3", "editor")}
       RETURNING pf.*
     `;
+
+    return this.transaction(async (tx) => {
+      const result = await tx.query(query, [projectId, filePath, userId]);
+      const deletedFile = result.rows[0];
+
+      if (deletedFile) {
+        const deleteRevision = { authorId: userId, ...revision };
+        const savedRevision = await tx.createFileRevision(
+          projectId,
+          filePath,
+          "delete",
+          null,
+          deleteRevision
+        );
+        await tx.emitEvent(projectId, "file.deleted", {
+          filePath,
+          ...eventRevision(savedRevision, deleteRevision)
+        });
+        await tx.touchProject(projectId);
+      }
+
+      return deletedFile;
+    });
+  }
+
+  // File revisions
+  async createFileRevision(projectId, filePath, action, content, revision) {
+    const {
+      authorId = null,
+      source = "manual",
+      conversationId = null
+    } = revision;
+    const query = `
+      INSERT INTO file_revisions (
+        project_id, file_path, revision_number, action, content, size_bytes,
+        author_id, source, conversation_id
+      )
+      SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3, $4, $5, $6, $7, $8
+      FROM file_revisions
+      WHERE project_id = $1 AND file_path = $2
+      RETURNING id, revision_number
+    `;
+    const result = await this.query(query, [
+      projectId,
+      filePath,
+      action,
+      content,
+      content === null ? 0 : Buffer.byteLength(content, "utf8"),
+      authorId,
+      source,
+      conversationId
+    ]);
+    return result.rows[0];
+  }
+
+  async getFileRevisions(projectId, filePath, userId) {
+    const query = `
+      SELECT fr.id, fr.project_id, fr.file_path, fr.revision_number, fr.action,
+        fr.size_bytes, fr.author_id, fr.source, fr.conversation_id, fr.created_at
+      FROM file_revisions fr
+      WHERE fr.project_id = $1 AND fr.file_path = $2
+      AND ${memberCondition("fr.project_id", "$3")}
+      ORDER BY fr.revision_number DESC
+    `;
     const result = await this.query(query, [projectId, filePath, userId]);
+    return result.rows;
+  }
+
+  async getFileRevision(revisionId, projectId, userId) {
+    const query = `
+      SELECT fr.* FROM file_revisions fr
+      WHERE fr.id = $1 AND fr.project_id = $2
+      AND ${memberCondition("fr.project_id", "$3")}
+    `;
+    const result = await this.query(query, [revisionId, projectId, userId]);
     return result.rows[0];
   }
 
+  // Changesets
+  async createChangeset(
+    projectId,
+    userId,
+    conversationId,
+    summary,
+    operations
+  ) {
+    const query = `
+      INSERT INTO changesets (project_id, user_id, conversation_id, summary, operations)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      projectId,
+      userId,
+      conversationId,
+      summary,
+      JSON.stringify(operations)
+    ]);
+    return result.rows[0];
+  }
+
+  async getChangeset(changesetId, projectId, userId) {
+    const query = `
+      SELECT cs.* FROM changesets cs
+      WHERE cs.id = $1 AND cs.project_id = $2
+      AND ${memberCondition("cs.project_id", "$3")}
+    `;
+    const result = await this.query(query, [changesetId, projectId, userId]);
+    return result.rows[0];
+  }
+
+  // Lock a pending changeset for the rest of the current transaction
+  async lockPendingChangeset(changesetId, projectId) {
+    const query = `
+      SELECT * FROM changesets
+      WHERE id = $1 AND project_id = $2 AND status = 'pending'
+      FOR UPDATE
+    `;
+    const result = await this.query(query, [changesetId, projectId]);
+    return result.rows[0];
+  }
+
+  // Move a pending changeset to applied or discarded. Returns undefined if it
+  // is no longer pending, so a discard can't undo an apply (or vice versa).
+  async updateChangesetStatus(changesetId, status) {
+    const query = `
+      UPDATE changesets
+      SET status = $2,
+        applied_at = CASE WHEN $2 = 'applied' THEN NOW() ELSE applied_at END
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await this.query(query, [changesetId, status]);
+    return result.rows[0];
+  }
+
+  // Templates. Rows with owner_id NULL are visible to everyone, others only
+  // to their owner.
+  async createTemplate({
+    id,
+    name,
+    description = null,
+    stack = [],
+    variables = [],
+    files,
+    ownerId = null,
+    createdBy = null,
+    sourceProjectId = null
+  }) {
+    const query = `
+      INSERT INTO project_templates
+        (id, name, description, stack, variables, files, owner_id, created_by, source_project_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      id,
+      name,
+      description,
+      JSON.stringify(stack),
+      JSON.stringify(variables),
+      JSON.stringify(files),
+      ownerId,
+      createdBy,
+      sourceProjectId
+    ]);
+    return result.rows[0];
+  }
+
+  // Template metadata without file contents
+  async getTemplates(userId) {
+    const query = `
+      SELECT id, name, description, stack, variables, owner_id, created_by,
+        source_project_id, created_at, updated_at,
+        jsonb_array_length(files) as file_count
+      FROM project_templates
+      WHERE owner_id IS NULL OR owner_id = $1
+      ORDER BY name
+    `;
+    const result = await this.query(query, [userId]);
+    return result.rows;
+  }
+
+  async getTemplate(templateId, userId) {
+    const query = `
+      SELECT * FROM project_templates
+      WHERE id = $1 AND (owner_id IS NULL OR owner_id = $2)
+    `;
+    const result = await this.query(query, [templateId, userId]);
+    return result.rows[0];
+  }
+
+  async deleteTemplate(templateId) {
+    const result = await this.query(
+      "DELETE FROM project_templates WHERE id = $1 RETURNING id, name",
+      [templateId]
+    );
+    return result.rows[0];
+  }
+
+  // Search
+  // Ranked full-text matches in one scope ("projects", "files" or
+  // "conversations") across the active projects the user is a member of.
+  // text uses web search syntax ("quoted phrases", or, -excluded).
+  // filters: { projectId, fileType, from, to, limit, headlineOptions }
+  async search(scope, userId, text, filters = {}) {
+    const config = SEARCH_SCOPES[scope];
+    if (!config) {
+      throw new Error(`Unsupported search scope: ${scope}`);
+    }
+
+    const vector = SEARCH_VECTORS[scope];
+    const conditions = ["p.status <> 'deleted'", `${vector} @@ query`];
+    const values = [userId, text];
+
+    if (filters.projectId) {
+      values.push(filters.projectId);
+      conditions.push(`p.id = $${values.length}`);
+    }
+    if (filters.fileType && config.fileTypeColumn) {
+      values.push(filters.fileType);
+      conditions.push(`${config.fileTypeColumn} = $${values.length}`);
+    }
+    if (filters.from) {
+      values.push(filters.from);
+      conditions.push(`${config.dateColumn} >= $${values.length}`);
+    }
+    if (filters.to) {
+      values.push(filters.to);
+      conditions.push(`${config.dateColumn} < $${values.length}`);
+    }
+    values.push(filters.limit || 20);
+    const limitParam = `$${values.length}`;
+    values.push(filters.headlineOptions || "");
+    const select = config.select(`$${values.length}`);
+    // Postgres rejects parameters it can't infer a type for
+    if (!select.includes(`$${values.length}`)) values.pop();
+
+    const query = `
+      SELECT ${select},
+        ts_rank_cd(${vector}, query) AS rank
+      FROM ${config.from}
+      JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+      CROSS JOIN websearch_to_tsquery('english', $2) query
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY rank DESC, ${config.dateColumn} DESC
+      LIMIT ${limitParam}
+    `;
+    const result = await this.query(query, values);
+    return result.rows;
+  }
+
+  // AI usage
+  async recordAiUsage({
+    userId,
+    projectId = null,
+    conversationId = null,
+    operation,
+    model = null,
+    usage = {}
+  }) {
+    const query = `
+      INSERT INTO ai_usage (
+        user_id, project_id, conversation_id, operation, model,
+        input_tokens, output_tokens, total_tokens
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      userId,
+      projectId,
+      conversationId,
+      operation,
+      model,
+      usage.input_tokens || 0,
+      usage.output_tokens || 0,
+      usage.total_tokens || 0
+    ]);
+    return result.rows[0];
+  }
+
+  // Tokens used by a user or a project since dayStart and monthStart
+  async getTokenUsage({ userId, projectId }, dayStart, monthStart) {
+    const column = projectId ? "project_id" : "user_id";
+    const query = `
+      SELECT
+        COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= $2), 0) AS daily,
+        COALESCE(SUM(total_tokens), 0) AS monthly
+      FROM ai_usage
+      WHERE ${column} = $1 AND created_at >= $3
+    `;
+    const result = await this.query(query, [
+      projectId || userId,
+      dayStart,
+      monthStart
+    ]);
+    return {
+      daily: parseInt(result.rows[0].daily, 10),
+      monthly: parseInt(result.rows[0].monthly, 10)
+    };
+  }
+
+  // Aggregate AI usage between from and to, grouped by groupBy and model.
+  // filters may narrow by userId, projectId, operation and model.
+  async getAiUsageBreakdown(groupBy, from, to, filters = {}) {
+    const groupExpressions = {
+      user: "user_id",
+      project: "project_id::text",
+      model: "COALESCE(model, 'unknown')",
+      operation: "operation",
+      day: "to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')"
+    };
+    const groupExpression = groupExpressions[groupBy];
+    if (!groupExpression) {
+      throw new Error(`Unsupported usage grouping: ${groupBy}`);
+    }
+
+    const conditions = ["created_at >= $1", "created_at < $2"];
+    const values = [from, to];
+    const filterColumns = {
+      userId: "user_id",
+      projectId: "project_id",
+      operation: "operation",
+      model: "model"
+    };
+
+    Object.entries(filterColumns).forEach(([filter, column]) => {
+      if (filters[filter]) {
+        values.push(filters[filter]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    });
+
+    const query = `
+      SELECT ${groupExpression} AS key,
+        COALESCE(model, 'unknown') AS model,
+        COUNT(*) AS requests,
+        COALESCE(SUM(input_tokens), 0) AS input_tokens,
+        COALESCE(SUM(output_tokens), 0) AS output_tokens,
+        COALESCE(SUM(total_tokens), 0) AS total_tokens
+      FROM ai_usage
+      WHERE ${conditions.join(" AND ")}
+      GROUP BY 1, 2
+      ORDER BY 1
+    `;
+    const result = await this.query(query, values);
+    return result.rows.map((row) => ({
+      key: row.key,
+      model: row.model,
+      requests: parseInt(row.requests, 10),
+      inputTokens: parseInt(row.input_tokens, 10),
+      outputTokens: parseInt(row.output_tokens, 10),
+      totalTokens: parseInt(row.total_tokens, 10)
+    }));
+  }
+
+  // Audit log (append-only)
+  async recordAudit({
+    actorId,
+    actorEmail = null,
+    action,
+    targetType,
+    targetId = null,
+    projectId = null,
+    changes = null,
+    metadata = null,
+    ip = null,
+    requestId = null
+  }) {
+    const query = `
+      INSERT INTO audit_log (
+        actor_id, actor_email, action, target_type, target_id, project_id,
+        changes, metadata, ip, request_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `;
+    const result = await this.query(query, [
+      actorId,
+      actorEmail,
+      action,
+      targetType,
+      targetId,
+      projectId,
+      changes && JSON.stringify(changes),
+      metadata && JSON.stringify(metadata),
+      ip,
+      requestId
+    ]);
+    return result.rows[0];
+  }
+
+  // One page of audit entries, newest first. filters may narrow by
+  // projectId, actorId, action, targetType, from and to. Returns
+  // { items, nextCursor }.
+  async getAuditLog(filters = {}, { limit = DEFAULT_PAGE_SIZE, after } = {}) {
+    const conditions = [];
+    const values = [];
+    const filterConditions = {
+      projectId: "a.project_id =",
+      actorId: "a.actor_id =",
+      action: "a.action =",
+      targetType: "a.target_type =",
+      from: "a.created_at >=",
+      to: "a.created_at <"
+    };
+
+    Object.entries(filterConditions).forEach(([filter, condition]) => {
+      if (!filters[filter]) return;
+      values.push(filters[filter]);
+      conditions.push(`${condition} $${values.length}`);
+    });
+    if (after) {
+      conditions.push(
+        keysetCondition("a.created_at", "a.id", "desc", values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const query = `
+      SELECT a.*, a.created_at::text AS sort_key
+      FROM audit_log a
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    return toPage(result.rows, limit, "created_at");
+  }
+
+  // Webhooks. Reads leave out the signing secret, which is only returned
+  // when a webhook is created.
+  async createWebhook({ userId, projectId, url, secret, events, description }) {
+    const query = `
+      INSERT INTO webhooks (user_id, project_id, url, secret, events, description)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      userId,
+      projectId,
+      url,
+      secret,
+      events,
+      description
+    ]);
+    return result.rows[0];
+  }
+
+  // The user's webhooks with the outcome of their latest delivery
+  async getWebhooks(userId, { projectId } = {}) {
+    const values = [userId];
+    const conditions = ["w.user_id = $1"];
+    if (projectId) {
+      values.push(projectId);
+      conditions.push(`w.project_id = $${values.length}`);
+    }
+
+    const query = `
+      SELECT ${WEBHOOK_COLUMNS},
+        last.status AS last_delivery_status,
+        last.created_at AS last_delivery_at
+      FROM webhooks w
+      LEFT JOIN LATERAL (
+        SELECT d.status, d.created_at FROM webhook_deliveries d
+        WHERE d.webhook_id = w.id
+        ORDER BY d.created_at DESC
+        LIMIT 1
+      ) last ON TRUE
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY w.created_at DESC
+    `;
+    const result = await this.query(query, values);
+    return result.rows;
+  }
+
+  async getWebhook(webhookId, userId) {
+    const query = `
+      SELECT ${WEBHOOK_COLUMNS} FROM webhooks w
+      WHERE w.id = $1 AND w.user_id = $2
+    `;
+    const result = await this.query(query, [webhookId, userId]);
+    return result.rows[0];
+  }
+
+  // updates may set url, events, description and active
+  async updateWebhook(webhookId, userId, updates) {
+    const fields = [];
+    const values = [webhookId, userId];
+    Object.entries(updates).forEach(([key, value]) => {
+      values.push(value);
+      fields.push(`${key} = $${values.length}`);
+    });
+
+    const query = `
+      UPDATE webhooks w
+      SET ${fields.join(", ")}, updated_at = NOW()
+      WHERE w.id = $1 AND w.user_id = $2
+      RETURNING ${WEBHOOK_COLUMNS}
+    `;
+    const result = await this.query(query, values);
+    return result.rows[0];
+  }
+
+  async deleteWebhook(webhookId, userId) {
+    const query = `
+      DELETE FROM webhooks w
+      WHERE w.id = $1 AND w.user_id = $2
+      RETURNING ${WEBHOOK_COLUMNS}
+    `;
+    const result = await this.query(query, [webhookId, userId]);
+    return result.rows[0];
+  }
+
+  // One page of a webhook's delivery log, newest first, without payloads.
+  // Returns { items, nextCursor }.
+  async getWebhookDeliveries(
+    webhookId,
+    { status, event, limit = DEFAULT_PAGE_SIZE, after } = {}
+  ) {
+    const conditions = ["d.webhook_id = $1"];
+    const values = [webhookId];
+    Object.entries({ "d.status": status, "d.event": event }).forEach(
+      ([column, value]) => {
+        if (!value) return;
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    );
+    if (after) {
+      conditions.push(
+        keysetCondition("d.created_at", "d.id", "desc", values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const query = `
+      SELECT d.id, d.webhook_id, d.event, d.status, d.attempts,
+        d.next_attempt_at, d.response_status, d.error, d.duration_ms,
+        d.replay_of, d.created_at, d.last_attempt_at, d.delivered_at,
+        d.created_at::text AS sort_key
+      FROM webhook_deliveries d
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    return toPage(result.rows, limit, "created_at");
+  }
+
+  async getWebhookDelivery(webhookId, deliveryId) {
+    const query = `
+      SELECT * FROM webhook_deliveries
+      WHERE id = $2 AND webhook_id = $1
+    `;
+    const result = await this.query(query, [webhookId, deliveryId]);
+    return result.rows[0];
+  }
+
+  // Queue a new delivery of a logged delivery's payload
+  async replayWebhookDelivery(webhookId, deliveryId) {
+    const query = `
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, replay_of)
+      SELECT webhook_id, event, payload, id
+      FROM webhook_deliveries
+      WHERE id = $2 AND webhook_id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [webhookId, deliveryId]);
+    if (result.rows[0]) {
+      this.events.emit("webhooks:queued");
+    }
+    return result.rows[0];
+  }
+
+  // Claim up to limit due deliveries with their webhook's url and secret.
+  // Claimed deliveries are pushed leaseSeconds into the future, so they are
+  // retried if this worker stops before recording the attempt.
+  async claimWebhookDeliveries(limit, leaseSeconds) {
+    const query = `
+      UPDATE webhook_deliveries d
+      SET attempts = d.attempts + 1, last_attempt_at = NOW(),
+        next_attempt_at = NOW() + make_interval(secs => $2)
+      FROM webhooks w
+      WHERE w.id = d.webhook_id
+      AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING d.*, w.url, w.secret, w.active
+    `;
+    const result = await this.query(query, [limit, leaseSeconds]);
+    return result.rows;
+  }
+
+  // Record the outcome of a delivery attempt. status stays "pending" with a
+  // nextAttemptAt while retries are left.
+  async recordWebhookAttempt(
+    deliveryId,
+    { status, responseStatus, error, durationMs, nextAttemptAt }
+  ) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = $2, response_status = $3, error = $4,
+        duration_ms = $5, next_attempt_at = COALESCE($6, next_attempt_at),
+        delivered_at = CASE WHEN $7 THEN NOW() END
+      WHERE id = $1
+    `;
+    await this.query(query, [
+      deliveryId,
+      status,
+      responseStatus ?? null,
+      error ?? null,
+      durationMs ?? null,
+      nextAttemptAt ?? null,
+      status === "succeeded"
+    ]);
+  }
+
+  // AI jobs
+  async createAiJob(userId, operation, payload, projectId = null) {
+    const query = `
+      INSERT INTO ai_jobs (user_id, project_id, operation, payload)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      userId,
+      projectId,
+      operation,
+      JSON.stringify(payload)
+    ]);
+    return result.rows[0];
+  }
+
+  async getAiJob(jobId, userId) {
+    const query = `
+      SELECT * FROM ai_jobs
+      WHERE id = $1 AND user_id = $2
+    `;
+    const result = await this.query(query, [jobId, userId]);
+    return result.rows[0];
+  }
+
+  // One page of the user's jobs, newest first, without payloads and results.
+  // Returns { items, nextCursor }.
+  async getAiJobs(
+    userId,
+    { status, operation, projectId, limit = DEFAULT_PAGE_SIZE, after } = {}
+  ) {
+    const conditions = ["j.user_id = $1"];
+    const values = [userId];
+    Object.entries({
+      "j.status": status,
+      "j.operation": operation,
+      "j.project_id": projectId
+    }).forEach(([column, value]) => {
+      if (!value) return;
+      values.push(value);
+      conditions.push(`${column} = $${values.length}`);
+    });
+    if (after) {
+      conditions.push(
+        keysetCondition("j.created_at", "j.id", "desc", values, after)
+      );
+    }
+    values.push(limit + 1);
+
+    const query = `
+      SELECT j.id, j.user_id, j.project_id, j.operation, j.status,
+        j.error, j.attempts, j.cancel_requested, j.created_at, j.started_at,
+        j.finished_at, j.created_at::text AS sort_key
+      FROM ai_jobs j
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY j.created_at DESC, j.id DESC
+      LIMIT $${values.length}
+    `;
+    const result = await this.query(query, values);
+    return toPage(result.rows, limit, "created_at");
+  }
+
+  // Mark the oldest queued job as running and return it, or undefined if the
+  // queue is empty. SKIP LOCKED lets several workers claim jobs at once.
+  async claimAiJob() {
+    const query = `
+      UPDATE ai_jobs
+      SET status = 'running', attempts = attempts + 1,
+        started_at = NOW(), heartbeat_at = NOW()
+      WHERE id = (
+        SELECT id FROM ai_jobs
+        WHERE status = 'queued'
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const result = await this.query(query);
+    return result.rows[0];
+  }
+
+  // Record that a running job is still alive. Returns the job's
+  // cancel_requested flag, or undefined if it is no longer running.
+  async heartbeatAiJob(jobId) {
+    const query = `
+      UPDATE ai_jobs SET heartbeat_at = NOW()
+      WHERE id = $1 AND status = 'running'
+      RETURNING cancel_requested
+    `;
+    const result = await this.query(query, [jobId]);
+    return result.rows[0]?.cancel_requested;
+  }
+
+  // Store the outcome of a running job. A job cancelled while it ran ends up
+  // cancelled whatever the outcome.
+  async finishAiJob(jobId, status, { result = null, error = null } = {}) {
+    const query = `
+      UPDATE ai_jobs
+      SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE $2 END,
+        result = CASE WHEN cancel_requested THEN NULL ELSE $3::jsonb END,
+        error = CASE WHEN cancel_requested THEN NULL ELSE $4::jsonb END,
+        finished_at = NOW()
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `;
+    const updated = await this.query(query, [
+      jobId,
+      status,
+      result && JSON.stringify(result),
+      error && JSON.stringify(error)
+    ]);
+    return updated.rows[0];
+  }
+
+  // Cancel a queued job right away, or flag a running one for its worker.
+  // Returns undefined if the job isn't the user's or has already finished.
+  async cancelAiJob(jobId, userId) {
+    const query = `
+      UPDATE ai_jobs
+      SET cancel_requested = TRUE,
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END
+      WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'running')
+      RETURNING *
+    `;
+    const result = await this.query(query, [jobId, userId]);
+    return result.rows[0];
+  }
+
+  // Queue running jobs whose worker stopped sending heartbeats again, or fail
+  // them once they have used maxAttempts. Returns the updated jobs.
+  async requeueStaleAiJobs(staleSeconds, maxAttempts) {
+    const query = `
+      UPDATE ai_jobs
+      SET status = CASE
+          WHEN cancel_requested THEN 'cancelled'
+          WHEN attempts >= $2 THEN 'failed'
+          ELSE 'queued'
+        END,
+        error = CASE
+          WHEN NOT cancel_requested AND attempts >= $2
+          THEN '{"status": 500, "error": "Job stopped responding"}'::jsonb
+          ELSE error
+        END,
+        finished_at = CASE
+          WHEN cancel_requested OR attempts >= $2 THEN NOW()
+          ELSE NULL
+        END
+      WHERE status = 'running'
+      AND heartbeat_at < NOW() - make_interval(secs => $1)
+      RETURNING id, status, attempts
+    `;
+    const result = await this.query(query, [staleSeconds, maxAttempts]);
+    return result.rows;
+  }
+
   // Cleanup and health
   async healthCheck() {
     try {
@@ -291,7 +1784,7 @@ class DatabaseService {
   }
 
   async close() {
-    console.log("🔌 Closing database connection pool...");
+    logger.info("Closing database connection pool");
     await this.pool.end();
   }
 }
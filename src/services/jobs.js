@@ -0,0 +1,193 @@
+const db = require("./database");
+const quotaService = require("./quota");
+const logger = require("../utils/logger");
+
+const JOB_OPERATIONS = ["message", "explain", "improve", "tests"];
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+
+// Running jobs send a heartbeat this often; a job without one for
+// JOB_STALE_SECONDS is assumed to have lost its worker
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const JOB_STALE_SECONDS = 60;
+
+// A job is queued again after losing its worker until it has been claimed
+// this many times
+const MAX_ATTEMPTS = 3;
+
+class JobService {
+  constructor() {
+    // Jobs run at once on this instance; 0 disables the worker (e.g. on
+    // API-only replicas)
+    const concurrency = parseInt(process.env.AI_JOB_CONCURRENCY);
+    this.concurrency =
+      Number.isInteger(concurrency) && concurrency >= 0 ? concurrency : 2;
+    this.pollIntervalMs =
+      (parseInt(process.env.AI_JOB_POLL_INTERVAL_SECONDS) || 2) * 1000;
+
+    this.handlers = new Map();
+    // Abort controllers of the jobs running on this instance, by job id
+    this.running = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  getOperations() {
+    return JOB_OPERATIONS;
+  }
+
+  getStatuses() {
+    return JOB_STATUSES;
+  }
+
+  // handler(payload, { userId, signal, jobId }) does the work of one operation and
+  // returns the { status, body } the synchronous endpoint would respond with
+  registerHandler(operation, handler) {
+    if (!JOB_OPERATIONS.includes(operation)) {
+      throw new Error(`Unsupported job operation: ${operation}`);
+    }
+    this.handlers.set(operation, handler);
+  }
+
+  async enqueue(operation, userId, payload, projectId = null) {
+    const job = await db.createAiJob(userId, operation, payload, projectId);
+    logger.info("Job queued", { jobId: job.id, operation, userId });
+
+    // Start it straight away if this instance has a free worker
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  async cancel(jobId, userId) {
+    const job = await db.cancelAiJob(jobId, userId);
+    // Stop waiting on a job running here; other instances notice the flag
+    // on their next heartbeat
+    if (job && this.running.has(jobId)) {
+      this.running.get(jobId).abort();
+    }
+    return job;
+  }
+
+  // Claim queued jobs until every worker slot is busy
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await db.claimAiJob();
+        if (!job) break;
+        // Everything logged while the job runs carries its id
+        logger.runWithContext({ jobId: job.id }, () => this.runJob(job));
+      }
+    } catch (error) {
+      logger.error("Job poll error", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    logger.info("Job running", { operation: job.operation });
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const cancelRequested = await db.heartbeatAiJob(job.id);
+        if (cancelRequested) controller.abort();
+      } catch (error) {
+        logger.error("Job heartbeat error", error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    let outcome;
+    try {
+      outcome = await this.execute(job, controller.signal);
+    } catch (error) {
+      logger.error("Job error", error);
+      outcome = {
+        status: 500,
+        body: {
+          success: false,
+          error: "An unexpected error occurred while processing the job"
+        }
+      };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      const { success, data, ...failure } = outcome.body;
+      const finished = success
+        ? await db.finishAiJob(job.id, "succeeded", { result: data })
+        : await db.finishAiJob(job.id, "failed", {
+            error: { status: outcome.status, ...failure }
+          });
+      logger.info("Job finished", {
+        status: finished?.status || "finished"
+      });
+    } catch (error) {
+      logger.error("Job could not be saved", error);
+    } finally {
+      this.running.delete(job.id);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  async execute(job, signal) {
+    const handler = this.handlers.get(job.operation);
+    if (!handler) {
+      throw new Error(`No handler registered for ${job.operation} jobs`);
+    }
+
+    // The quota may have run out while the job was queued
+    const quota = await quotaService.checkQuota(
+      job.user_id,
+      job.payload.projectId
+    );
+    if (!quota.allowed) {
+      return {
+        status: 429,
+        body: {
+          success: false,
+          error: "Token quota exceeded",
+          quota: quota.exceeded
+        }
+      };
+    }
+
+    return handler(job.payload, { userId: job.user_id, signal, jobId: job.id });
+  }
+
+  // Queue jobs abandoned by stopped workers again, then claim work
+  async recover() {
+    try {
+      const jobs = await db.requeueStaleAiJobs(JOB_STALE_SECONDS, MAX_ATTEMPTS);
+      jobs.forEach((job) =>
+        logger.info("Stale job requeued", { jobId: job.id, status: job.status })
+      );
+    } catch (error) {
+      logger.error("Job recovery error", error);
+    }
+    return this.poll();
+  }
+
+  // Start the worker. Queued jobs, including those left over from before a
+  // restart, are picked up on the first poll.
+  start() {
+    if (this.timer || this.concurrency === 0) return;
+
+    this.timer = setInterval(() => this.recover(), this.pollIntervalMs);
+    this.timer.unref();
+    this.recover();
+
+    logger.info("AI job worker started", { concurrency: this.concurrency });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new JobService();
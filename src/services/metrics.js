@@ -0,0 +1,151 @@
+const client = require("prom-client");
+
+// Statement types used as the operation label of query metrics; anything
+// else is counted as "other"
+const QUERY_OPERATIONS = [
+  "select",
+  "insert",
+  "update",
+  "delete",
+  "with",
+  "begin",
+  "commit",
+  "rollback"
+];
+
+const queryOperation = (text) => {
+  const keyword = (text.trim().match(/^[a-z]+/i) || [""])[0].toLowerCase();
+  return QUERY_OPERATIONS.includes(keyword) ? keyword : "other";
+};
+
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    this.pools = [];
+    const { pools } = this;
+    const registers = [this.registry];
+
+    this.httpRequests = new client.Counter({
+      name: "http_requests_total",
+      help: "HTTP requests by method, route and status code",
+      labelNames: ["method", "route", "status"],
+      registers
+    });
+    this.httpDuration = new client.Histogram({
+      name: "http_request_duration_seconds",
+      help: "HTTP request latency by method, route and status code",
+      labelNames: ["method", "route", "status"],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers
+    });
+
+    this.queryDuration = new client.Histogram({
+      name: "db_query_duration_seconds",
+      help: "Database query latency by statement type and outcome",
+      labelNames: ["operation", "outcome"],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+      registers
+    });
+    new client.Gauge({
+      name: "db_pool_connections",
+      help: "Database pool connections by state (total, idle, waiting)",
+      labelNames: ["state"],
+      registers,
+      // Read when scraped, so the numbers are always current
+      collect() {
+        const totals = { total: 0, idle: 0, waiting: 0 };
+        pools.forEach((pool) => {
+          totals.total += pool.totalCount;
+          totals.idle += pool.idleCount;
+          totals.waiting += pool.waitingCount;
+        });
+        Object.entries(totals).forEach(([state, count]) =>
+          this.set({ state }, count)
+        );
+      }
+    });
+
+    this.aiDuration = new client.Histogram({
+      name: "ai_request_duration_seconds",
+      help: "AI provider call latency by operation and outcome",
+      labelNames: ["operation", "outcome"],
+      buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300],
+      registers
+    });
+    this.aiTokens = new client.Counter({
+      name: "ai_tokens_total",
+      help: "Tokens used by AI calls by operation, model and type",
+      labelNames: ["operation", "model", "type"],
+      registers
+    });
+    this.aiErrors = new client.Counter({
+      name: "ai_errors_total",
+      help: "Failed AI provider calls by operation and status code",
+      labelNames: ["operation", "status"],
+      registers
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: "rate_limit_rejections_total",
+      help: "Requests rejected by a rate limiter or token quota",
+      labelNames: ["limiter"],
+      registers
+    });
+  }
+
+  // Report connection counts of a pg pool on every scrape
+  trackPool(pool) {
+    this.pools.push(pool);
+  }
+
+  observeHttpRequest(method, route, status, durationMs) {
+    const labels = { method, route, status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, durationMs / 1000);
+  }
+
+  observeQuery(text, durationMs, failed = false) {
+    this.queryDuration.observe(
+      {
+        operation: queryOperation(text),
+        outcome: failed ? "error" : "success"
+      },
+      durationMs / 1000
+    );
+  }
+
+  // outcome is success, error or aborted. usage is the provider's
+  // { input_tokens, output_tokens }; status the provider's error status.
+  observeAiCall(operation, durationMs, { outcome, model, usage, status }) {
+    this.aiDuration.observe({ operation, outcome }, durationMs / 1000);
+
+    if (usage) {
+      const labels = { operation, model: model || "unknown" };
+      this.aiTokens.inc({ ...labels, type: "input" }, usage.input_tokens || 0);
+      this.aiTokens.inc(
+        { ...labels, type: "output" },
+        usage.output_tokens || 0
+      );
+    }
+    if (outcome === "error") {
+      this.aiErrors.inc({ operation, status: String(status || "unknown") });
+    }
+  }
+
+  recordRateLimitRejection(limiter) {
+    this.rateLimitRejections.inc({ limiter });
+  }
+
+  getContentType() {
+    return this.registry.contentType;
+  }
+
+  // Everything in the Prometheus text exposition format
+  async getMetrics() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,76 @@
+const Anthropic = require("@anthropic-ai/sdk");
+
+// Adapter for the Anthropic Messages API. Requests and responses already use
+// the shape every provider speaks, so this is a thin wrapper around the SDK.
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = "anthropic";
+    this.defaultModel = config.model || "claude-3-5-sonnet-20241022";
+    this.models = [
+      ...new Set([
+        this.defaultModel,
+        "claude-3-5-sonnet-20241022",
+        "claude-3-5-haiku-20241022",
+        "claude-3-opus-20240229"
+      ])
+    ];
+    this.configurationHint = "please add CLAUDE_API_KEY environment variable";
+    this.client = config.apiKey
+      ? new Anthropic({ apiKey: config.apiKey })
+      : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  buildParams(request) {
+    return {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens,
+      ...(typeof request.temperature === "number" && {
+        temperature: request.temperature
+      }),
+      ...(request.system && { system: request.system }),
+      ...(request.tools && { tools: request.tools }),
+      ...(request.toolChoice && { tool_choice: request.toolChoice }),
+      messages: request.messages
+    };
+  }
+
+  toResult(message) {
+    return {
+      content: message.content,
+      usage: {
+        input_tokens: message.usage.input_tokens,
+        output_tokens: message.usage.output_tokens
+      },
+      model: message.model
+    };
+  }
+
+  async complete(request, { signal } = {}) {
+    const message = await this.client.messages.create(
+      this.buildParams(request),
+      { signal }
+    );
+    return this.toResult(message);
+  }
+
+  async stream(request, { onText, signal } = {}) {
+    const stream = this.client.messages.stream(this.buildParams(request));
+
+    if (signal) {
+      if (signal.aborted) stream.abort();
+      signal.addEventListener("abort", () => stream.abort(), { once: true });
+    }
+
+    if (onText) {
+      stream.on("text", onText);
+    }
+
+    return this.toResult(await stream.finalMessage());
+  }
+}
+
+module.exports = AnthropicProvider;
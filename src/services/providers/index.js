@@ -0,0 +1,38 @@
+const AnthropicProvider = require("./anthropic");
+const OpenAICompatibleProvider = require("./openai-compatible");
+const MockProvider = require("./mock");
+
+const PROVIDERS = {
+  anthropic: () =>
+    new AnthropicProvider({
+      apiKey: process.env.CLAUDE_API_KEY,
+      model: process.env.AI_MODEL
+    }),
+  "openai-compatible": () =>
+    new OpenAICompatibleProvider({
+      baseUrl: process.env.OPENAI_BASE_URL,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.AI_MODEL
+    }),
+  mock: () =>
+    new MockProvider({
+      responsesFile: process.env.MOCK_AI_RESPONSES_FILE,
+      model: process.env.AI_MODEL
+    })
+};
+
+// Create the provider named by AI_PROVIDER (defaults to anthropic)
+const createProvider = (name = process.env.AI_PROVIDER || "anthropic") => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI_PROVIDER "${name}" - use one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+  return factory();
+};
+
+module.exports = {
+  createProvider,
+  providerNames: Object.keys(PROVIDERS)
+};
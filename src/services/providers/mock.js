@@ -0,0 +1,116 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { estimateTokens } = require("../../utils/context");
+
+const abortError = () => {
+  const error = new Error("Request was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+// Deterministic offline provider for CI and local development. Responses come
+// from a script of { match, text, toolInput } entries (first entry whose
+// case-insensitive `match` substring appears in the last user message wins;
+// an entry without `match` is the fallback), or a canned echo of the request.
+class MockProvider {
+  constructor(config = {}) {
+    this.name = "mock";
+    this.defaultModel = config.model || "mock-model";
+    this.configurationHint = "mock provider is always available";
+    this.responses = config.responsesFile
+      ? JSON.parse(fs.readFileSync(config.responsesFile, "utf8"))
+      : [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Replace the scripted responses
+  script(responses) {
+    this.responses = responses;
+  }
+
+  findScripted(prompt) {
+    const lowerPrompt = prompt.toLowerCase();
+    return (
+      this.responses.find(
+        (entry) =>
+          entry.match && lowerPrompt.includes(entry.match.toLowerCase())
+      ) || this.responses.find((entry) => !entry.match)
+    );
+  }
+
+  complete(request, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    const lastUser = [...request.messages]
+      .reverse()
+      .find((message) => message.role === "user");
+    const prompt =
+      typeof lastUser?.content === "string" ? lastUser.content : "";
+    const requestLine = (prompt.match(/User Request: (.*)/) || [])[1] || prompt;
+    const digest = crypto
+      .createHash("sha1")
+      .update(prompt)
+      .digest("hex")
+      .slice(0, 8);
+    const scripted = this.findScripted(prompt);
+
+    const text =
+      scripted?.text ??
+      `// Mock response from ${this.defaultModel}\n// Request: ${requestLine
+        .split("\n")[0]
+        .slice(0, 200)}`;
+
+    const content = [];
+    const tool = request.toolChoice?.type === "tool" && request.toolChoice.name;
+    if (tool) {
+      content.push({
+        type: "tool_use",
+        id: `mock_${digest}`,
+        name: tool,
+        input: scripted?.toolInput || {
+          summary: `Mock change for: ${requestLine.slice(0, 100)}`,
+          operations: [
+            { action: "create", path: `mock/${digest}.md`, content: text }
+          ]
+        }
+      });
+    } else {
+      content.push({ type: "text", text });
+    }
+
+    const inputText = [
+      request.system || "",
+      ...request.messages.map((message) => message.content)
+    ].join("\n");
+
+    return Promise.resolve({
+      content,
+      usage: {
+        input_tokens: estimateTokens(inputText),
+        output_tokens: estimateTokens(JSON.stringify(content))
+      },
+      model: request.model || this.defaultModel
+    });
+  }
+
+  async stream(request, { onText, signal } = {}) {
+    const result = await this.complete(request);
+    const text = result.content[0].text || "";
+
+    // Emit the text in small chunks so clients see a real stream
+    for (let i = 0; i < text.length; i += 16) {
+      if (signal?.aborted) throw abortError();
+      if (onText) onText(text.slice(i, i + 16));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    return result;
+  }
+}
+
+module.exports = MockProvider;
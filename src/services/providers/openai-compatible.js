@@ -0,0 +1,146 @@
+// Adapter for any server exposing the OpenAI chat completions API
+// (vLLM, Ollama, LM Studio, llama.cpp server, ...). Converts our
+// Anthropic-shaped requests to chat completions and back.
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = "openai-compatible";
+    this.baseUrl = (config.baseUrl || "").replace(/\/+$/, "");
+    this.apiKey = config.apiKey || null;
+    this.defaultModel = config.model || "local-model";
+    this.configurationHint = "please add OPENAI_BASE_URL environment variable";
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  buildBody(request, stream = false) {
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: "system", content: request.system });
+    }
+    request.messages.forEach((message) => {
+      messages.push({ role: message.role, content: message.content });
+    });
+
+    return {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens,
+      ...(typeof request.temperature === "number" && {
+        temperature: request.temperature
+      }),
+      messages,
+      ...(request.tools && {
+        tools: request.tools.map((tool) => ({
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.input_schema
+          }
+        }))
+      }),
+      ...(request.toolChoice?.type === "tool" && {
+        tool_choice: {
+          type: "function",
+          function: { name: request.toolChoice.name }
+        }
+      }),
+      ...(stream && { stream: true, stream_options: { include_usage: true } })
+    };
+  }
+
+  async post(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        `OpenAI-compatible endpoint returned ${response.status}: ${await response.text()}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  toUsage(usage) {
+    return {
+      input_tokens: usage?.prompt_tokens || 0,
+      output_tokens: usage?.completion_tokens || 0
+    };
+  }
+
+  async complete(request, { signal } = {}) {
+    const response = await this.post(this.buildBody(request), signal);
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: "text", text: message.content });
+    }
+    (message.tool_calls || []).forEach((call) => {
+      content.push({
+        type: "tool_use",
+        id: call.id,
+        name: call.function.name,
+        input: JSON.parse(call.function.arguments || "{}")
+      });
+    });
+
+    return {
+      content,
+      usage: this.toUsage(data.usage),
+      model: data.model || request.model || this.defaultModel
+    };
+  }
+
+  async stream(request, { onText, signal } = {}) {
+    const response = await this.post(this.buildBody(request, true), signal);
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+    let usage = null;
+    let model = request.model || this.defaultModel;
+
+    // Server-Sent Events: one "data: {...}" line per chunk, ending in [DONE]
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !payload || payload === "[DONE]") {
+          continue;
+        }
+
+        const data = JSON.parse(payload);
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          if (onText) onText(delta);
+        }
+        if (data.usage) usage = data.usage;
+        if (data.model) model = data.model;
+      }
+    }
+
+    return {
+      content: [{ type: "text", text }],
+      usage: this.toUsage(usage),
+      model
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,92 @@
+const db = require("./database");
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Parse a token limit; unset, 0 or invalid values mean "unlimited"
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+};
+
+class QuotaService {
+  constructor() {
+    this.userLimits = {
+      daily: parseLimit(process.env.USER_DAILY_TOKEN_QUOTA),
+      monthly: parseLimit(process.env.USER_MONTHLY_TOKEN_QUOTA)
+    };
+  }
+
+  // Quota windows reset at midnight UTC and on the 1st of each month (UTC)
+  getWindows(now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    return {
+      daily: {
+        start: new Date(Date.UTC(year, month, day)),
+        resetAt: new Date(Date.UTC(year, month, day + 1))
+      },
+      monthly: {
+        start: new Date(Date.UTC(year, month, 1)),
+        resetAt: new Date(Date.UTC(year, month + 1, 1))
+      }
+    };
+  }
+
+  // Projects can cap their own spend with settings.tokenQuota = { daily, monthly }
+  getProjectLimits(project) {
+    const quota = project?.settings?.tokenQuota || {};
+    return {
+      daily: parseLimit(quota.daily),
+      monthly: parseLimit(quota.monthly)
+    };
+  }
+
+  // Check the user's quota and, if projectId is given, the project's quota.
+  // Returns { allowed, quotas, exceeded } where each quota entry describes
+  // one scope/period with its limit, usage, remaining tokens and reset time.
+  async checkQuota(userId, projectId = null) {
+    const windows = this.getWindows();
+    const scopes = [
+      { scope: "user", limits: this.userLimits, key: { userId } }
+    ];
+
+    if (projectId && uuidRegex.test(projectId)) {
+      const project = await db.getProject(projectId, userId);
+      const limits = this.getProjectLimits(project);
+      if (limits.daily || limits.monthly) {
+        scopes.push({ scope: "project", limits, key: { projectId } });
+      }
+    }
+
+    const quotas = [];
+    for (const { scope, limits, key } of scopes) {
+      if (!limits.daily && !limits.monthly) continue;
+
+      const used = await db.getTokenUsage(
+        key,
+        windows.daily.start,
+        windows.monthly.start
+      );
+
+      ["daily", "monthly"].forEach((period) => {
+        if (!limits[period]) return;
+        quotas.push({
+          scope,
+          period,
+          limit: limits[period],
+          used: used[period],
+          remaining: Math.max(limits[period] - used[period], 0),
+          resetAt: windows[period].resetAt.toISOString()
+        });
+      });
+    }
+
+    const exceeded = quotas.find((quota) => quota.remaining === 0) || null;
+    return { allowed: !exceeded, quotas, exceeded };
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,138 @@
+const { createClient } = require("redis");
+const logger = require("../utils/logger");
+
+class RedisService {
+  constructor() {
+    this.defaultTtl = parseInt(process.env.CACHE_TTL_SECONDS) || 60;
+
+    if (!process.env.REDIS_URL) {
+      logger.warn(
+        "REDIS_URL not provided - caching and shared rate limiting disabled"
+      );
+      this.client = null;
+      return;
+    }
+
+    this.client = createClient({
+      url: process.env.REDIS_URL,
+      // Fail commands straight away while disconnected instead of queueing
+      // them until Redis comes back
+      disableOfflineQueue: true,
+      socket: {
+        // Back off up to 5 seconds between reconnect attempts
+        reconnectStrategy: (retries) => Math.min(retries * 100, 5000)
+      }
+    });
+
+    this.client.on("error", (error) => {
+      logger.error("Redis error", { error: error.message });
+    });
+    this.client.on("ready", () => {
+      logger.info("Redis connected successfully");
+    });
+
+    this.client.connect().catch((error) => {
+      logger.error("Redis connection failed", { error: error.message });
+    });
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  isReady() {
+    return !!this.client && this.client.isReady;
+  }
+
+  // Cache helpers. Redis problems never fail the request: reads fall back to
+  // the loader and writes/invalidations are skipped.
+  async getJSON(key) {
+    if (!this.isReady()) return null;
+
+    try {
+      const value = await this.client.get(key);
+      return value === null ? null : JSON.parse(value);
+    } catch (error) {
+      logger.error("Redis get error", { key, error: error.message });
+      return null;
+    }
+  }
+
+  async setJSON(key, value, ttlSeconds = this.defaultTtl) {
+    if (!this.isReady()) return;
+
+    try {
+      await this.client.set(key, JSON.stringify(value), { EX: ttlSeconds });
+    } catch (error) {
+      logger.error("Redis set error", { key, error: error.message });
+    }
+  }
+
+  async del(...keys) {
+    if (!this.isReady() || keys.length === 0) return;
+
+    try {
+      await this.client.del(keys);
+    } catch (error) {
+      logger.error("Redis del error", { keys, error: error.message });
+    }
+  }
+
+  // Return the cached value for key, or call loader and cache its result.
+  // Empty results (undefined/null) are not cached.
+  async cached(key, loader, ttlSeconds = this.defaultTtl) {
+    const hit = await this.getJSON(key);
+    if (hit !== null) return hit;
+
+    const value = await loader();
+    if (value !== undefined && value !== null) {
+      await this.setJSON(key, value, ttlSeconds);
+    }
+    return value;
+  }
+
+  async healthCheck() {
+    if (!this.client) {
+      return {
+        status: "DISABLED",
+        message: "Redis URL not configured"
+      };
+    }
+
+    if (!this.client.isReady) {
+      return {
+        status: "ERROR",
+        message: "Not connected"
+      };
+    }
+
+    try {
+      const start = Date.now();
+      const reply = await this.client.ping();
+      return {
+        status: reply === "PONG" ? "OK" : "ERROR",
+        message: reply,
+        latency: `${Date.now() - start}ms`
+      };
+    } catch (error) {
+      return {
+        status: "ERROR",
+        message: error.message
+      };
+    }
+  }
+
+  async close() {
+    if (!this.client || !this.client.isOpen) return;
+
+    logger.info("Closing Redis connection");
+    // QUIT would wait in the offline queue while the client is reconnecting
+    if (!this.client.isReady) {
+      await this.client.disconnect();
+      return;
+    }
+    await this.client.quit();
+  }
+}
+
+module.exports = new RedisService();
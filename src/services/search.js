@@ -0,0 +1,141 @@
+const db = require("./database");
+
+const SEARCH_SCOPES = ["projects", "files", "conversations"];
+
+// ts_headline wraps matches in these control characters, which can't clash
+// with real content; they become <mark> tags after the snippet is escaped
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" ... "`;
+
+// Matching lines returned per file hit
+const MAX_LINE_MATCHES = 5;
+const MAX_LINE_LENGTH = 300;
+// Characters kept before the first match when a long line is cut
+const LINE_CONTEXT_BEFORE = 60;
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// HTML-escape text and wrap every match of pattern in <mark>
+const highlight = (text, pattern) => {
+  let output = "";
+  let last = 0;
+  text.replace(pattern, (match, offset) => {
+    output += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return output + escapeHtml(text.slice(last));
+};
+
+class SearchService {
+  getScopes() {
+    return SEARCH_SCOPES;
+  }
+
+  // Words to look for when pointing at matching lines. Postgres matches
+  // stemmed words, so long words are trimmed to approximate the stem.
+  getTerms(text) {
+    return [
+      ...new Set(
+        text
+          .split(/\s+/)
+          .filter((word) => word && !word.startsWith("-"))
+          .flatMap((word) => word.toLowerCase().match(/[a-z0-9_]+/g) || [])
+          .filter((word) => word !== "or" && word.length >= 2)
+          .map((word) => (word.length > 5 ? word.slice(0, -2) : word))
+      )
+    ];
+  }
+
+  // HTML-escape a snippet and turn match markers into <mark> tags
+  formatSnippet(snippet) {
+    return escapeHtml(snippet || "")
+      .split(MATCH_START)
+      .join("<mark>")
+      .split(MATCH_END)
+      .join("</mark>");
+  }
+
+  // The first lines of a file that contain a search term, with 1-based line
+  // numbers and matches wrapped in <mark>. Lines are found with a plain
+  // substring scan; long lines are cut to a window around the first match
+  // before highlighting, so minified files can't make the regex slow.
+  findMatchingLines(content, terms) {
+    if (terms.length === 0) return { lines: [], matchCount: 0 };
+
+    // Highlight whole words containing a term
+    const pattern = new RegExp(
+      `\\w*(?:${terms.map(escapeRegExp).join("|")})\\w*`,
+      "gi"
+    );
+    const lines = [];
+    let matchCount = 0;
+
+    (content || "").split("\n").forEach((line, index) => {
+      const lowerLine = line.toLowerCase();
+      const positions = terms
+        .map((term) => lowerLine.indexOf(term))
+        .filter((position) => position !== -1);
+      if (positions.length === 0) return;
+
+      matchCount += 1;
+      if (lines.length >= MAX_LINE_MATCHES) return;
+
+      lines.push({
+        lineNumber: index + 1,
+        text: highlight(this.lineWindow(line, Math.min(...positions)), pattern)
+      });
+    });
+
+    return { lines, matchCount };
+  }
+
+  // At most MAX_LINE_LENGTH characters of line, starting a little before
+  // position, with "..." where it was cut
+  lineWindow(line, position) {
+    if (line.length <= MAX_LINE_LENGTH) return line;
+
+    const start = Math.max(
+      0,
+      Math.min(position - LINE_CONTEXT_BEFORE, line.length - MAX_LINE_LENGTH)
+    );
+    const end = start + MAX_LINE_LENGTH;
+    return `${start > 0 ? "..." : ""}${line.slice(start, end)}${
+      end < line.length ? "..." : ""
+    }`;
+  }
+
+  // Search the requested scopes. Returns { [scope]: hits } with hits ranked
+  // best first.
+  async search(userId, text, { scopes = SEARCH_SCOPES, ...filters } = {}) {
+    const terms = this.getTerms(text);
+    const results = {};
+
+    for (const scope of scopes) {
+      const rows = await db.search(scope, userId, text, {
+        ...filters,
+        headlineOptions: HEADLINE_OPTIONS
+      });
+
+      results[scope] = rows.map((row) => {
+        const rank = Math.round(parseFloat(row.rank) * 10000) / 10000;
+
+        if (scope === "files") {
+          const { content, ...file } = row;
+          const { lines, matchCount } = this.findMatchingLines(content, terms);
+          return { ...file, rank, lines, lineMatchCount: matchCount };
+        }
+
+        return { ...row, rank, snippet: this.formatSnippet(row.snippet) };
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const db = require("./database");
+const {
+  detectFileType,
+  normalizeFilePath,
+  slugify
+} = require("../utils/files");
+
+// Built-in templates: one directory per template id holding template.json
+// (name, description, stack, variables) and the template's files under files/
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,99}$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Filled in from the project being created, so templates can always use them
+const PROJECT_VARIABLES = ["projectName", "projectSlug", "projectDescription"];
+
+const MAX_TEMPLATE_FILES = 500;
+
+const listFiles = (dir, prefix = "") =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), relative)
+      : [relative];
+  });
+
+class TemplateService {
+  constructor() {
+    this.builtIn = this.loadBuiltInTemplates();
+  }
+
+  loadBuiltInTemplates() {
+    const templates = new Map();
+    if (!fs.existsSync(TEMPLATES_DIR)) return templates;
+
+    fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const dir = path.join(TEMPLATES_DIR, entry.name);
+        const metadata = JSON.parse(
+          fs.readFileSync(path.join(dir, "template.json"), "utf8")
+        );
+        const filesDir = path.join(dir, "files");
+
+        templates.set(entry.name, {
+          id: entry.name,
+          name: metadata.name,
+          description: metadata.description || null,
+          stack: metadata.stack || [],
+          variables: metadata.variables || [],
+          files: listFiles(filesDir).map((filePath) => ({
+            path: filePath,
+            content: fs.readFileSync(path.join(filesDir, filePath), "utf8")
+          })),
+          builtIn: true
+        });
+      });
+
+    return templates;
+  }
+
+  isBuiltIn(templateId) {
+    return this.builtIn.has(templateId);
+  }
+
+  // Common shape for built-in templates and project_templates rows
+  formatTemplate(template, { includeFiles = false } = {}) {
+    const files = template.files || [];
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      stack: template.stack,
+      variables: template.variables,
+      builtIn: !!template.builtIn,
+      shared: template.builtIn || !template.owner_id,
+      fileCount:
+        template.file_count !== undefined
+          ? parseInt(template.file_count, 10)
+          : files.length,
+      ...(template.source_project_id && {
+        sourceProjectId: template.source_project_id
+      }),
+      ...(template.created_at && { createdAt: template.created_at }),
+      ...(includeFiles && { files })
+    };
+  }
+
+  // Built-in templates first, then the shared and private ones from the DB
+  async listTemplates(userId) {
+    const rows = await db.getTemplates(userId);
+    return [
+      ...[...this.builtIn.values()].map((template) =>
+        this.formatTemplate(template)
+      ),
+      ...rows.map((row) => this.formatTemplate(row))
+    ];
+  }
+
+  // Returns the template with its files, or undefined if the user can't see it
+  async getTemplate(templateId, userId) {
+    if (this.builtIn.has(templateId)) {
+      return this.formatTemplate(this.builtIn.get(templateId), {
+        includeFiles: true
+      });
+    }
+    if (
+      typeof templateId !== "string" ||
+      !TEMPLATE_ID_PATTERN.test(templateId)
+    ) {
+      return undefined;
+    }
+
+    const row = await db.getTemplate(templateId, userId);
+    return row && this.formatTemplate(row, { includeFiles: true });
+  }
+
+  // Validate template metadata, and files unless withFiles is false (when
+  // saving a project, the files come from the project itself)
+  validateTemplate(data, { withFiles = true } = {}) {
+    const errors = [];
+
+    if (typeof data.id !== "string" || !TEMPLATE_ID_PATTERN.test(data.id)) {
+      errors.push(
+        "id must be 2-100 lowercase letters, numbers or dashes, starting with a letter or number"
+      );
+    } else if (this.isBuiltIn(data.id)) {
+      errors.push(`id "${data.id}" is reserved by a built-in template`);
+    }
+
+    if (
+      !data.name ||
+      typeof data.name !== "string" ||
+      data.name.trim().length === 0
+    ) {
+      errors.push("Template name is required and must be a non-empty string");
+    } else if (data.name.length > 255) {
+      errors.push("Template name must be less than 255 characters");
+    }
+
+    if (data.description && typeof data.description !== "string") {
+      errors.push("Description must be a string");
+    }
+
+    if (
+      data.stack !== undefined &&
+      (!Array.isArray(data.stack) ||
+        !data.stack.every((item) => typeof item === "string"))
+    ) {
+      errors.push("stack must be an array of strings");
+    }
+
+    if (data.variables !== undefined) {
+      if (!Array.isArray(data.variables)) {
+        errors.push("variables must be an array");
+      } else {
+        data.variables.forEach((variable, index) => {
+          if (
+            !variable ||
+            typeof variable.name !== "string" ||
+            !VARIABLE_NAME_PATTERN.test(variable.name)
+          ) {
+            errors.push(`variables[${index}].name must be an identifier`);
+          } else if (PROJECT_VARIABLES.includes(variable.name)) {
+            errors.push(
+              `variables[${index}].name "${variable.name}" is set from the project`
+            );
+          }
+          if (
+            variable?.default !== undefined &&
+            typeof variable.default !== "string"
+          ) {
+            errors.push(`variables[${index}].default must be a string`);
+          }
+        });
+      }
+    }
+
+    if (!withFiles) return errors;
+
+    if (!Array.isArray(data.files) || data.files.length === 0) {
+      errors.push("files must be a non-empty array of { path, content }");
+    } else if (data.files.length > MAX_TEMPLATE_FILES) {
+      errors.push(`Templates can have at most ${MAX_TEMPLATE_FILES} files`);
+    } else {
+      const paths = new Set();
+      data.files.forEach((file, index) => {
+        const filePath = normalizeFilePath(file?.path);
+        if (!filePath) {
+          errors.push(`files[${index}].path is not a valid relative path`);
+        } else if (paths.has(filePath)) {
+          errors.push(`files[${index}].path "${filePath}" is duplicated`);
+        } else {
+          paths.add(filePath);
+        }
+        if (typeof file?.content !== "string") {
+          errors.push(`files[${index}].content must be a string`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Store a template. ownerId null makes it visible to every user.
+  async createTemplate(data, { ownerId = null, createdBy, sourceProjectId }) {
+    const template = await db.createTemplate({
+      id: data.id,
+      name: data.name.trim(),
+      description: data.description?.trim() || null,
+      stack: data.stack || [],
+      variables: (data.variables || []).map((variable) => ({
+        name: variable.name,
+        description: variable.description || null,
+        ...(variable.default !== undefined && { default: variable.default })
+      })),
+      files: data.files.map((file) => ({
+        path: normalizeFilePath(file.path),
+        content: file.content
+      })),
+      ownerId,
+      createdBy,
+      sourceProjectId
+    });
+    return this.formatTemplate(template, { includeFiles: true });
+  }
+
+  async deleteTemplate(templateId) {
+    return db.deleteTemplate(templateId);
+  }
+
+  // Values for every {{variable}} in the template: the project's own
+  // variables, then the caller's values, then declared defaults. Returns
+  // { values, missing } where missing lists declared variables without a value.
+  resolveVariables(template, project, provided = {}) {
+    const values = {};
+    const missing = [];
+
+    template.variables.forEach((variable) => {
+      const value = provided[variable.name] ?? variable.default;
+      if (value === undefined) {
+        missing.push(variable.name);
+      } else {
+        values[variable.name] = String(value);
+      }
+    });
+
+    values.projectName = project.name;
+    values.projectSlug = slugify(project.name) || "project";
+    values.projectDescription = project.description || "";
+
+    return { values, missing };
+  }
+
+  // Template files with {{variables}} substituted. Unknown placeholders are
+  // left as they are.
+  renderFiles(template, values) {
+    const render = (text) =>
+      text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(values, name)
+          ? values[name]
+          : placeholder
+      );
+
+    return template.files.map((file) => {
+      // Keep the raw path if a value would make it invalid (e.g. "../")
+      const filePath = normalizeFilePath(render(file.path)) || file.path;
+      return {
+        path: filePath,
+        name: path.posix.basename(filePath),
+        type: detectFileType(filePath),
+        content: render(file.content)
+      };
+    });
+  }
+}
+
+module.exports = new TemplateService();
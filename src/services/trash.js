@@ -0,0 +1,95 @@
+const db = require("./database");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Projects purged per DELETE, so one run never holds a huge lock
+const PURGE_BATCH_SIZE = 100;
+
+class TrashService {
+  constructor() {
+    // Days a deleted project stays restorable before it is purged
+    this.retentionDays =
+      parseInt(process.env.PROJECT_TRASH_RETENTION_DAYS) || 30;
+    this.purgeIntervalMs =
+      (parseInt(process.env.PROJECT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.timer = null;
+    this.purging = false;
+  }
+
+  // When a trashed project will be purged
+  getPurgeAt(project) {
+    return new Date(
+      new Date(project.deleted_at).getTime() + this.retentionDays * DAY_MS
+    );
+  }
+
+  // One page of the user's trash, each project with its purge date
+  async listTrash(userId, page) {
+    const { items, nextCursor } = await db.getDeletedProjects(userId, page);
+    return {
+      items: items.map((project) => ({
+        ...project,
+        purge_at: this.getPurgeAt(project)
+      })),
+      nextCursor
+    };
+  }
+
+  // Permanently delete every project past the retention window. Returns the
+  // number of projects purged.
+  async purgeExpired() {
+    // Skip if the previous run is still going
+    if (this.purging) return 0;
+    this.purging = true;
+
+    let purged = 0;
+    try {
+      let rows;
+      do {
+        rows = await db.purgeDeletedProjects(
+          this.retentionDays,
+          PURGE_BATCH_SIZE
+        );
+        rows.forEach((project) =>
+          logger.info("Purged project", { projectId: project.id })
+        );
+        purged += rows.length;
+      } while (rows.length === PURGE_BATCH_SIZE);
+    } finally {
+      this.purging = false;
+    }
+
+    if (purged > 0) {
+      logger.info("Purged projects from the trash", { purged });
+    }
+    return purged;
+  }
+
+  // Purge now and then on an interval. Every replica can run this; the
+  // purge query skips rows another replica is already deleting.
+  start() {
+    if (this.timer) return;
+
+    const run = () =>
+      this.purgeExpired().catch((error) =>
+        logger.error("Trash purge error", error)
+      );
+    run();
+    this.timer = setInterval(run, this.purgeIntervalMs);
+    // Don't keep the process alive just for the purge job
+    this.timer.unref();
+
+    logger.info("Trash purge scheduled", {
+      retentionDays: this.retentionDays,
+      intervalMinutes: this.purgeIntervalMs / 60000
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch } = require("undici");
+const db = require("./database");
+const logger = require("../utils/logger");
+
+const WEBHOOK_EVENTS = [
+  "project.created",
+  "project.deleted",
+  "file.saved",
+  "file.deleted",
+  "conversation.created"
+];
+
+// Deliveries sent at once per poll
+const BATCH_SIZE = 10;
+const POLL_INTERVAL_MS = 5000;
+
+// Failed deliveries are retried after 30s, 1m, 2m, ... up to 6h apart
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Webhooks must not reach the server's own network: loopback, private,
+// link-local (including cloud metadata at 169.254.169.254), unique-local,
+// benchmarking, multicast, reserved and unspecified addresses are refused,
+// as are NAT64 and 6to4 addresses that can wrap any of them
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10]
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? "ipv6" : "ipv4"
+  );
+};
+
+// dns.lookup that fails instead of returning a blocked address. Deliveries
+// connect through it, so the address checked is the one connected to and a
+// host can't pass validation and then resolve to a private address.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(
+        new Error("url must not point to a private or local network address")
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const deliveryAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+class WebhookService {
+  constructor() {
+    // Attempts per delivery before it is marked failed
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.timeoutMs =
+      (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+    this.timer = null;
+    this.polling = false;
+
+    // Deliver straight away when a write queues deliveries
+    db.events.on("webhooks:queued", () => this.poll());
+  }
+
+  getEvents() {
+    return WEBHOOK_EVENTS;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  // Returns an error message, or null if url can receive webhooks.
+  // Production only allows https. The host is resolved and every address
+  // it resolves to must be public.
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return "url must be a valid URL";
+    }
+
+    const protocols =
+      process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+    if (!protocols.includes(parsed.protocol)) {
+      return `url must use ${protocols.map((p) => p.slice(0, -1)).join(" or ")}`;
+    }
+
+    // new URL() keeps IPv6 hosts in brackets
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return "url host could not be resolved";
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return "url must not point to a private or local network address";
+    }
+    return null;
+  }
+
+  // Receivers verify X-Webhook-Signature by computing the same HMAC over
+  // "<X-Webhook-Timestamp>.<raw body>" with the webhook's secret
+  sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `sha256=${digest}`;
+  }
+
+  getRetryDelaySeconds(attempts) {
+    return Math.min(
+      RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+      RETRY_MAX_SECONDS
+    );
+  }
+
+  // Send one claimed delivery and record the attempt
+  async deliver(delivery) {
+    if (!delivery.active) {
+      return db.recordWebhookAttempt(delivery.id, {
+        status: "failed",
+        error: "Webhook is disabled"
+      });
+    }
+
+    // Checked again in case the URL was saved before the rules changed; the
+    // connection itself goes through lookupPublicAddress
+    const urlError = await this.validateUrl(delivery.url);
+    if (urlError) {
+      return db.recordWebhookAttempt(delivery.id, {
+        status: "failed",
+        error: urlError
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    let outcome;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AI-Dev-Platform-Webhooks/1.0",
+          "X-Webhook-Id": delivery.webhook_id,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": this.sign(delivery.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual",
+        dispatcher: deliveryAgent,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      // Only the status is kept: the body is never stored or shown
+      await response.body?.cancel().catch(() => {});
+
+      outcome = {
+        ok: response.ok,
+        responseStatus: response.status,
+        error: response.ok ? null : `Receiver responded with ${response.status}`
+      };
+    } catch (error) {
+      outcome = {
+        ok: false,
+        error:
+          error.name === "TimeoutError"
+            ? `Timed out after ${this.timeoutMs}ms`
+            : error.cause?.message || error.message
+      };
+    }
+
+    const { ok, ...attempt } = outcome;
+    attempt.durationMs = Date.now() - startTime;
+
+    if (ok) {
+      attempt.status = "succeeded";
+    } else if (delivery.attempts >= this.maxAttempts) {
+      attempt.status = "failed";
+    } else {
+      attempt.status = "pending";
+      attempt.nextAttemptAt = new Date(
+        Date.now() + this.getRetryDelaySeconds(delivery.attempts) * 1000
+      );
+    }
+
+    logger[ok ? "info" : "warn"]("Webhook delivery attempted", {
+      event: delivery.event,
+      status: attempt.status,
+      attempt: delivery.attempts,
+      ...(attempt.error && { error: attempt.error })
+    });
+    return db.recordWebhookAttempt(delivery.id, attempt);
+  }
+
+  // Send due deliveries until none are left
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      const leaseSeconds = Math.ceil(this.timeoutMs / 1000) + 30;
+      let deliveries;
+      do {
+        deliveries = await db.claimWebhookDeliveries(BATCH_SIZE, leaseSeconds);
+        await Promise.all(
+          deliveries.map((delivery) =>
+            logger
+              .runWithContext({ deliveryId: delivery.id }, () =>
+                this.deliver(delivery)
+              )
+              .catch((error) => logger.error("Webhook delivery error", error))
+          )
+        );
+      } while (deliveries.length === BATCH_SIZE);
+    } catch (error) {
+      logger.error("Webhook poll error", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Retries and deliveries queued by other instances are picked up on an
+  // interval
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.poll();
+
+    logger.info("Webhook delivery worker started");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+
+interface DashboardCard {
+  id: number;
+  title: string;
+  value: string;
+  change: string;
+  positive: boolean;
+}
+
+function App() {
+  const [cards] = useState<DashboardCard[]>([
+    { id: 1, title: 'Total Users', value: '12,543', change: '+12%', positive: true },
+    { id: 2, title: 'Revenue', value: '$45,231', change: '+8%', positive: true },
+    { id: 3, title: 'Orders', value: '1,234', change: '-3%', positive: false },
+    { id: 4, title: 'Growth', value: '23%', change: '+5%', positive: true },
+    { id: 5, title: 'Conversion', value: '3.4%', change: '+0.2%', positive: true },
+    { id: 6, title: 'Bounce Rate', value: '42%', change: '-1%', positive: true }
+  ]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-6">
+            <h1 className="text-3xl font-bold text-gray-900">{{projectName}}</h1>
+            <button className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition-colors">
+              New Item
+            </button>
+          </div>
+        </div>
+      </div>
+      
+      <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+          {cards.map(card => (
+            <div key={card.id} className="bg-white rounded-lg shadow hover:shadow-md transition-shadow p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-1">{card.title}</p>
+                  <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+                </div>
+                <div className={`text-sm font-medium ${card.positive ? 'text-green-600' : 'text-red-600'}`}>
+                  {card.change}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Recent Activity</h2>
+          <p className="text-gray-600">
+            This is your dashboard template. Ask the AI to customize it with charts, tables, or any other features you need!
+          </p>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default App;
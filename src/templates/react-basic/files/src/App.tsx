@@ -0,0 +1,23 @@
+import React from 'react';
+
+function App() {
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+      <div className="bg-white p-8 rounded-lg shadow-md max-w-md mx-auto">
+        <h1 className="text-3xl font-bold text-gray-800 mb-4">
+          Welcome to your AI-generated app! 🚀
+        </h1>
+        <p className="text-gray-600 mb-4">
+          This is your starting point. Ask the AI to modify or add features!
+        </p>
+        <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
+          <p className="text-blue-700 text-sm">
+            💡 Try asking the AI: "Add a button that changes the background color"
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default App;
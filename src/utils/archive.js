@@ -0,0 +1,266 @@
+const archiver = require("archiver");
+const yauzl = require("yauzl");
+const tar = require("tar-stream");
+const zlib = require("zlib");
+const { normalizeFilePath, slugify } = require("./files");
+
+const EXPORT_FORMATS = {
+  zip: { extension: "zip", contentType: "application/zip" },
+  "tar.gz": { extension: "tar.gz", contentType: "application/gzip" }
+};
+
+// Metadata lives under this directory so it can't collide with project files
+const METADATA_DIR = ".aidev";
+
+// Path segments that are never imported
+const IGNORED_SEGMENTS = new Set([
+  "node_modules",
+  ".git",
+  ".svn",
+  ".hg",
+  "__MACOSX",
+  ".DS_Store",
+  "Thumbs.db",
+  METADATA_DIR
+]);
+
+// Create an archiver stream for one of EXPORT_FORMATS
+const createArchive = (format) => {
+  if (format === "tar.gz") {
+    return archiver("tar", { gzip: true, gzipOptions: { level: 9 } });
+  }
+  return archiver("zip", { zlib: { level: 9 } });
+};
+
+// Turn a project name into a safe download file name
+const archiveFileName = (name, format) =>
+  `${slugify(name) || "project"}.${EXPORT_FORMATS[format].extension}`;
+
+// Errors carry an HTTP status so routes can report bad uploads directly
+const archiveError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const detectArchiveFormat = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return "zip";
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return "tar.gz";
+  }
+  return null;
+};
+
+// Read an entry stream into a buffer, failing if it grows past maxBytes
+const collectStream = (stream, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(archiveError("Archive entry is larger than its header claims"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+
+// Walk the entries of a zip, calling onEntry(name, size, open) for each file
+const readZipEntries = (buffer, onEntry) =>
+  new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(
+          archiveError(`Invalid zip archive: ${openError.message}`)
+        );
+      }
+
+      zipfile.on("entry", async (entry) => {
+        if (entry.fileName.endsWith("/")) return zipfile.readEntry();
+
+        const open = () =>
+          new Promise((resolveStream, rejectStream) => {
+            zipfile.openReadStream(entry, (streamError, stream) =>
+              streamError ? rejectStream(streamError) : resolveStream(stream)
+            );
+          });
+
+        try {
+          await onEntry(entry.fileName, entry.uncompressedSize, open);
+          zipfile.readEntry();
+        } catch (error) {
+          zipfile.close();
+          reject(error);
+        }
+      });
+      zipfile.on("end", resolve);
+      zipfile.on("error", (error) =>
+        reject(archiveError(`Invalid zip archive: ${error.message}`))
+      );
+      zipfile.readEntry();
+    });
+  });
+
+// Walk the entries of a tar.gz, calling onEntry(name, size, open) for each file
+const readTarEntries = (buffer, onEntry) =>
+  new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const gunzip = zlib.createGunzip();
+    const fail = (error) => {
+      gunzip.destroy();
+      extract.destroy();
+      reject(
+        error.status
+          ? error
+          : archiveError(`Invalid tar.gz archive: ${error.message}`)
+      );
+    };
+
+    extract.on("entry", async (header, stream, next) => {
+      try {
+        if (header.type !== "file") {
+          stream.resume();
+          return next();
+        }
+
+        let opened = false;
+        await onEntry(header.name, header.size, async () => {
+          opened = true;
+          return stream;
+        });
+        if (!opened) stream.resume();
+        next();
+      } catch (error) {
+        fail(error);
+      }
+    });
+    extract.on("finish", resolve);
+    extract.on("error", fail);
+    gunzip.on("error", fail);
+
+    gunzip.pipe(extract);
+    gunzip.end(buffer);
+  });
+
+// Files that contain NUL bytes or aren't valid UTF-8 are treated as binary
+const isBinary = (content) =>
+  content.subarray(0, 8000).includes(0) ||
+  !Buffer.from(content.toString("utf8"), "utf8").equals(content);
+
+// Drop a single top-level directory shared by every entry, as in GitHub's
+// "repo-main/" downloads
+const commonRoot = (names) => {
+  const roots = new Set(names.map((name) => name.split("/")[0]));
+  const [root] = roots;
+  return roots.size === 1 && names.every((name) => name.includes("/"))
+    ? `${root}/`
+    : "";
+};
+
+// Extract the text files of a zip or tar.gz upload.
+// limits: { maxFileBytes, maxFiles, maxTotalBytes }.
+// Returns { format, files: [{ path, content }], skipped: [{ path, reason }],
+// manifest } where manifest is the parsed .aidev/manifest.json of an
+// exported project, if present. Throws errors with a .status for bad uploads.
+const readArchiveFiles = async (buffer, limits) => {
+  const format = detectArchiveFormat(buffer);
+  if (!format) {
+    throw archiveError("Upload must be a zip or tar.gz archive");
+  }
+
+  const entries = [];
+  let fileCount = 0;
+  let totalBytes = 0;
+  const onEntry = async (name, size, open) => {
+    const entryPath = name.replace(/\\/g, "/").replace(/^\.\//, "");
+    const segments = entryPath.split("/");
+    const isManifest = entryPath.endsWith(`${METADATA_DIR}/manifest.json`);
+
+    if (
+      !isManifest &&
+      segments.some((segment) => IGNORED_SEGMENTS.has(segment))
+    ) {
+      entries.push({ name: entryPath, reason: "ignored path" });
+      return;
+    }
+    if (size > limits.maxFileBytes) {
+      entries.push({ name: entryPath, reason: "file too large", size });
+      return;
+    }
+    fileCount += 1;
+    if (fileCount > limits.maxFiles) {
+      throw archiveError(
+        `Archive contains more than ${limits.maxFiles} files`,
+        413
+      );
+    }
+    totalBytes += size;
+    if (totalBytes > limits.maxTotalBytes) {
+      throw archiveError(
+        `Archive expands to more than ${limits.maxTotalBytes} bytes`,
+        413
+      );
+    }
+
+    const content = await collectStream(await open(), size);
+    entries.push({ name: entryPath, content, isManifest });
+  };
+
+  if (format === "zip") {
+    await readZipEntries(buffer, onEntry);
+  } else {
+    await readTarEntries(buffer, onEntry);
+  }
+
+  const root = commonRoot(entries.map((entry) => entry.name));
+  const files = [];
+  const skipped = [];
+  let manifest = null;
+
+  entries.forEach(({ name, content, isManifest, reason, size }) => {
+    const relative = name.slice(root.length);
+
+    if (isManifest) {
+      try {
+        manifest = JSON.parse(content.toString("utf8"));
+      } catch (error) {
+        skipped.push({ path: relative, reason: "invalid manifest" });
+      }
+      return;
+    }
+    if (reason) {
+      skipped.push({
+        path: relative,
+        reason,
+        ...(size && { sizeBytes: size })
+      });
+      return;
+    }
+
+    const filePath = normalizeFilePath(relative);
+    if (!filePath) {
+      skipped.push({ path: relative, reason: "invalid path" });
+      return;
+    }
+    if (isBinary(content)) {
+      skipped.push({ path: filePath, reason: "binary file" });
+      return;
+    }
+
+    files.push({ path: filePath, content: content.toString("utf8") });
+  });
+
+  return { format, files, skipped, manifest };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  METADATA_DIR,
+  createArchive,
+  archiveFileName,
+  readArchiveFiles
+};
@@ -0,0 +1,74 @@
+const { normalizeFilePath } = require("./files");
+
+const ACTIONS = ["create", "update", "delete"];
+const MAX_OPERATIONS = 50;
+const MAX_CONTENT_LENGTH = 500000;
+
+// Validate AI-proposed file operations against the project's current file
+// paths. Returns { operations, errors } with paths normalized.
+const validateOperations = (operations, existingPaths = []) => {
+  const errors = [];
+  const normalizedOperations = [];
+  const existing = new Set(existingPaths);
+  const seen = new Set();
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return {
+      operations: [],
+      errors: ["At least one file operation is required"]
+    };
+  }
+
+  if (operations.length > MAX_OPERATIONS) {
+    errors.push(`A changeset can contain at most ${MAX_OPERATIONS} operations`);
+  }
+
+  operations.forEach((operation, index) => {
+    const label = `Operation ${index + 1}`;
+
+    if (!operation || !ACTIONS.includes(operation.action)) {
+      errors.push(`${label}: action must be one of ${ACTIONS.join(", ")}`);
+      return;
+    }
+
+    const filePath = normalizeFilePath(operation.path);
+    if (!filePath) {
+      errors.push(`${label}: invalid file path "${operation.path}"`);
+      return;
+    }
+
+    if (seen.has(filePath)) {
+      errors.push(`${label}: ${filePath} appears more than once`);
+      return;
+    }
+    seen.add(filePath);
+
+    if (operation.action === "create" && existing.has(filePath)) {
+      errors.push(`${label}: ${filePath} already exists`);
+    }
+
+    if (operation.action !== "create" && !existing.has(filePath)) {
+      errors.push(`${label}: ${filePath} does not exist`);
+    }
+
+    if (operation.action !== "delete") {
+      if (typeof operation.content !== "string") {
+        errors.push(`${label}: content is required for ${operation.action}`);
+      } else if (operation.content.length > MAX_CONTENT_LENGTH) {
+        errors.push(`${label}: content for ${filePath} is too large`);
+      }
+    }
+
+    normalizedOperations.push({
+      action: operation.action,
+      path: filePath,
+      ...(operation.action !== "delete" && { content: operation.content })
+    });
+  });
+
+  return { operations: normalizedOperations, errors };
+};
+
+module.exports = {
+  validateOperations
+};
@@ -0,0 +1,241 @@
+// Rough token estimate (~4 characters per token) used for budgeting prompts
+const estimateTokens = (text = "") => Math.ceil(text.length / 4);
+
+const STOPWORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "that",
+  "this",
+  "make",
+  "add",
+  "from",
+  "into",
+  "file",
+  "files",
+  "code",
+  "please",
+  "should",
+  "can",
+  "use",
+  "new",
+  "all",
+  "are",
+  "not",
+  "but",
+  "you",
+  "your",
+  "have",
+  "now",
+  "want",
+  "need",
+  "some",
+  "when",
+  "then",
+  "there",
+  "what",
+  "which",
+  "will",
+  "also",
+  "just",
+  "like"
+]);
+
+// Lines of surrounding context kept around each matching line
+const CHUNK_RADIUS = 12;
+
+// Split "src/components/UserProfile.tsx" or "fetchUserData" into lowercase words
+const splitWords = (text) =>
+  text
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 3 && !STOPWORDS.has(word));
+
+const extractKeywords = (message) => {
+  const identifiers = message.match(/[A-Za-z_$][\w$]{2,}/g) || [];
+  const keywords = new Set();
+  identifiers.forEach((identifier) => {
+    if (!STOPWORDS.has(identifier.toLowerCase())) {
+      keywords.add(identifier.toLowerCase());
+    }
+    splitWords(identifier).forEach((word) => keywords.add(word));
+  });
+  return [...keywords];
+};
+
+// Score a file's relevance to the message and explain why
+const scoreFile = (file, message, keywords, recencyRank, fileCount) => {
+  const reasons = [];
+  let score = 0;
+  const lowerMessage = message.toLowerCase();
+  const lowerPath = file.file_path.toLowerCase();
+  const fileName = lowerPath.split("/").pop();
+
+  if (lowerMessage.includes(lowerPath)) {
+    score += 100;
+    reasons.push("path mentioned");
+  } else if (fileName.length >= 4 && lowerMessage.includes(fileName)) {
+    score += 60;
+    reasons.push("file name mentioned");
+  }
+
+  const pathWords = new Set(splitWords(file.file_path));
+  const pathMatches = keywords.filter((keyword) => pathWords.has(keyword));
+  if (pathMatches.length > 0) {
+    score += 10 * pathMatches.length;
+    reasons.push(`path matches: ${pathMatches.join(", ")}`);
+  }
+
+  const lowerContent = (file.content || "").toLowerCase();
+  const contentMatches = keywords.filter((keyword) =>
+    lowerContent.includes(keyword)
+  );
+  if (contentMatches.length > 0) {
+    score += Math.min(contentMatches.length * 3, 30);
+    reasons.push(
+      `identifier matches: ${contentMatches.slice(0, 5).join(", ")}`
+    );
+  }
+
+  // Recently edited files get up to 5 points
+  if (fileCount > 1) {
+    const recency = 5 * (1 - recencyRank / (fileCount - 1));
+    if (recency >= 2.5) reasons.push("recently edited");
+    score += recency;
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+};
+
+// Pick the line windows around keyword matches that fit in tokenBudget
+const extractChunks = (content, keywords, tokenBudget) => {
+  const lines = content.split("\n");
+  const windows = [];
+
+  lines.forEach((line, index) => {
+    const lowerLine = line.toLowerCase();
+    const hits = keywords.filter((keyword) => lowerLine.includes(keyword));
+    if (hits.length === 0) return;
+
+    const start = Math.max(index - CHUNK_RADIUS, 0);
+    const end = Math.min(index + CHUNK_RADIUS, lines.length - 1);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+      last.hits += hits.length;
+    } else {
+      windows.push({ start, end, hits: hits.length });
+    }
+  });
+
+  // Densest windows first, then back into file order for the prompt
+  const chosen = [];
+  let used = 0;
+  windows
+    .sort((a, b) => b.hits - a.hits)
+    .forEach((window) => {
+      const text = lines.slice(window.start, window.end + 1).join("\n");
+      const tokens = estimateTokens(text);
+      if (used + tokens > tokenBudget) return;
+      chosen.push({ ...window, text });
+      used += tokens;
+    });
+  chosen.sort((a, b) => a.start - b.start);
+
+  return { chunks: chosen, tokens: used };
+};
+
+// Rank project files by relevance to the message and pack whole files, or
+// the relevant chunks of large ones, into tokenBudget. Returns the packed
+// files for the prompt and a manifest of what was included.
+const buildFileContext = (files = [], message = "", tokenBudget = 0) => {
+  const keywords = extractKeywords(message);
+  const byRecency = [...files].sort(
+    (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0)
+  );
+
+  const ranked = files
+    .map((file) => ({
+      file,
+      ...scoreFile(
+        file,
+        message,
+        keywords,
+        byRecency.indexOf(file),
+        files.length
+      )
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const packed = [];
+  const included = [];
+  const omitted = [];
+  let remaining = tokenBudget;
+
+  ranked.forEach(({ file, score, reasons }) => {
+    const content = file.content || "";
+    const tokens = estimateTokens(content);
+    const lineCount = content.split("\n").length;
+
+    if (tokens <= remaining) {
+      packed.push({ file_path: file.file_path, content });
+      included.push({
+        path: file.file_path,
+        score,
+        reasons,
+        whole: true,
+        ranges: [{ startLine: 1, endLine: lineCount }],
+        estimatedTokens: tokens
+      });
+      remaining -= tokens;
+      return;
+    }
+
+    // Too big to include whole: fall back to the chunks that match the prompt
+    const { chunks, tokens: chunkTokens } =
+      score > 5 && remaining > 0
+        ? extractChunks(content, keywords, remaining)
+        : { chunks: [], tokens: 0 };
+
+    if (chunks.length === 0) {
+      omitted.push({ path: file.file_path, score, estimatedTokens: tokens });
+      return;
+    }
+
+    const ranges = chunks.map((chunk) => ({
+      startLine: chunk.start + 1,
+      endLine: chunk.end + 1
+    }));
+    packed.push({
+      file_path: file.file_path,
+      content: chunks.map((chunk) => chunk.text).join("\n...\n"),
+      ranges
+    });
+    included.push({
+      path: file.file_path,
+      score,
+      reasons,
+      whole: false,
+      ranges,
+      estimatedTokens: chunkTokens
+    });
+    remaining -= chunkTokens;
+  });
+
+  return {
+    files: packed,
+    manifest: {
+      tokenBudget,
+      estimatedTokens: tokenBudget - remaining,
+      included,
+      omitted
+    }
+  };
+};
+
+module.exports = {
+  buildFileContext,
+  estimateTokens
+};
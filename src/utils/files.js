@@ -0,0 +1,62 @@
+const path = require("path");
+
+const FILE_TYPES = {
+  ".ts": "typescript",
+  ".tsx": "typescript",
+  ".js": "javascript",
+  ".jsx": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".json": "json",
+  ".css": "css",
+  ".scss": "scss",
+  ".html": "html",
+  ".md": "markdown",
+  ".py": "python",
+  ".sql": "sql",
+  ".yml": "yaml",
+  ".yaml": "yaml",
+  ".sh": "shell"
+};
+
+// Guess the project_files.file_type for a path from its extension
+const detectFileType = (filePath) => {
+  return FILE_TYPES[path.posix.extname(filePath).toLowerCase()] || "text";
+};
+
+// Normalize a project-relative file path. Returns null for paths that are
+// absolute, empty or escape the project root.
+const normalizeFilePath = (filePath) => {
+  if (typeof filePath !== "string") return null;
+
+  const trimmed = filePath.trim().replace(/\\/g, "/");
+  if (!trimmed || trimmed.startsWith("/") || /^[a-zA-Z]:/.test(trimmed)) {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(trimmed);
+  if (
+    normalized === "." ||
+    normalized.startsWith("../") ||
+    normalized === ".." ||
+    normalized.endsWith("/") ||
+    normalized.includes("\0")
+  ) {
+    return null;
+  }
+
+  return normalized;
+};
+
+// Lowercase, dash-separated version of a name for package and file names
+const slugify = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+module.exports = {
+  detectFileType,
+  normalizeFilePath,
+  slugify
+};
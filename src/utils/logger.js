@@ -0,0 +1,122 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values of these keys (compared lowercase, without - and _) are replaced
+// before anything is written: credentials, and request data that can hold
+// whole files or user messages
+const REDACTED_KEY_PATTERN =
+  /^(params|content|prompt)$|(password|passwordhash|secret|token|apikey|authorization|cookie)$/;
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+// Fields of the current request or job (requestId, jobId, ...), added to
+// every entry logged while handling it
+const context = new AsyncLocalStorage();
+
+const resolveLevel = (name) => {
+  if (name === undefined) return "info";
+  const level = String(name).toLowerCase();
+  return LEVELS[level] ? level : "info";
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return "[Object]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      REDACTED_KEY_PATTERN.test(key.toLowerCase().replace(/[-_]/g, ""))
+        ? REDACTED
+        : redact(item, depth + 1)
+    ])
+  );
+};
+
+// Details may be an Error, an object of fields, or a single value
+const toFields = (details) => {
+  if (details === undefined) return {};
+  if (details instanceof Error) return { error: serializeError(details) };
+  if (details === null || typeof details !== "object") {
+    return { detail: details };
+  }
+  return redact(details);
+};
+
+// Writes one JSON object per line: time, level, msg, the request context and
+// any fields passed in. LOG_LEVEL (debug, info, warn, error) sets the lowest
+// level written.
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  getLevel() {
+    return resolveLevel(process.env.LOG_LEVEL);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  // A logger that adds fields to every entry
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  // Run callback with fields (e.g. { requestId }) attached to everything it
+  // logs, including from the services it calls
+  runWithContext(fields, callback) {
+    return context.run(fields, callback);
+  }
+
+  getContext() {
+    return context.getStore() || {};
+  }
+
+  log(level, message, details) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.getContext(),
+      ...this.fields,
+      ...toFields(details)
+    };
+    const stream =
+      LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, details) {
+    this.log("debug", message, details);
+  }
+
+  info(message, details) {
+    this.log("info", message, details);
+  }
+
+  warn(message, details) {
+    this.log("warn", message, details);
+  }
+
+  error(message, details) {
+    this.log("error", message, details);
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,105 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: base64url JSON of the sort they were made
+// for and the last row's [sortValue, id], used for keyset pagination
+const encodeCursor = (sort, sortValue, id) =>
+  Buffer.from(JSON.stringify([sort, sortValue, id])).toString("base64url");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// A timestamptz cast to text, e.g. "2024-05-01 12:30:00.123456+00"
+const TIMESTAMP_PATTERN =
+  /^(\d{4}-\d{2}-\d{2}) ([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?[+-]\d{2}(:\d{2}){0,2}$/;
+
+const isTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) return false;
+  // Rejects days that don't exist, like 2024-02-30
+  const date = new Date(`${match[1]}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(match[1]);
+};
+
+// How the cursor value of each sort is checked, so a tampered cursor or one
+// from another sort is rejected instead of failing as a bad cast in Postgres
+const SORT_VALUE_CHECKS = {
+  created_at: isTimestamp,
+  updated_at: isTimestamp,
+  deleted_at: isTimestamp,
+  name: () => true,
+  path: () => true,
+  size: (value) => /^\d{1,18}$/.test(value)
+};
+
+// Returns [sortValue, id], or null if the cursor is malformed or wasn't made
+// for sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (
+      !Array.isArray(values) ||
+      values.length !== 3 ||
+      values[0] !== sort ||
+      typeof values[1] !== "string" ||
+      !UUID_PATTERN.test(values[2])
+    ) {
+      return null;
+    }
+    const isValid = SORT_VALUE_CHECKS[sort];
+    return isValid && isValid(values[1]) ? values.slice(1) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate ?limit=&cursor= for a listing ordered by sort (the column name,
+// e.g. "created_at"). Returns { errors, page: { limit, after } } where after
+// is the decoded cursor (or null for the first page).
+const parsePageParams = (
+  query,
+  sort = "created_at",
+  defaultLimit = DEFAULT_PAGE_SIZE
+) => {
+  const errors = [];
+  let limit = defaultLimit;
+  let after = null;
+
+  if (query.limit !== undefined) {
+    limit = /^\d+$/.test(query.limit) ? Number(query.limit) : NaN;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    after =
+      typeof query.cursor === "string" && decodeCursor(query.cursor, sort);
+    if (!after) {
+      errors.push("Invalid cursor");
+    }
+  }
+
+  return { errors, page: { limit, after } };
+};
+
+// Validate an optional ISO date query parameter. Returns { error, date }.
+const parseDateParam = (query, field) => {
+  if (query[field] === undefined) return { date: null };
+
+  const date = new Date(query[field]);
+  return isNaN(date.getTime())
+    ? { error: `${field} must be a valid ISO date` }
+    : { date };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  parseDateParam
+};
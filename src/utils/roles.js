@@ -0,0 +1,13 @@
+// Project roles from least to most access. Viewers are read-only, editors
+// can chat and change files, owners can also delete and share the project.
+const PROJECT_ROLES = ["viewer", "editor", "owner"];
+
+// True if role grants at least the access of minimumRole
+const hasRole = (role, minimumRole) =>
+  PROJECT_ROLES.includes(role) &&
+  PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimumRole);
+
+module.exports = {
+  PROJECT_ROLES,
+  hasRole
+};
@@ -0,0 +1,13 @@
+// Project lifecycle. Archived projects are hidden from the default listing
+// but stay usable; deleted projects sit in the trash until they are restored
+// or purged once the retention window has passed.
+const PROJECT_STATUSES = ["active", "archived", "deleted"];
+
+// Statuses that can be set with PUT /api/projects/:id. Deleting goes through
+// DELETE so the retention window starts.
+const EDITABLE_STATUSES = ["active", "archived"];
+
+module.exports = {
+  PROJECT_STATUSES,
+  EDITABLE_STATUSES
+};